@@ -1,5 +1,5 @@
 import Phaser, { Game, Scene } from 'phaser';
-import IsoPlugin from 'phaser3-plugin-isometric';
+import IsoPlugin, { TOP_FACE } from 'phaser3-plugin-isometric';
 
 class IsoInteractionExample extends Scene {
   constructor() {
@@ -35,7 +35,8 @@ class IsoInteractionExample extends Scene {
     for (var xx = 0; xx < 256; xx += 38) {
       for (var yy = 0; yy < 256; yy += 38) {
         tile = this.add.isoSprite(xx, yy, 0, 'tile', this.isoGroup);
-        tile.setInteractive();
+        // Only the diamond of the tile reacts to the pointer, not its transparent corners
+        tile.setIsoInteractive(TOP_FACE);
 
         tile.on('pointerover', function() {
           this.setTint(0x86bfda);
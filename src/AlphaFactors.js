@@ -0,0 +1,70 @@
+//  The alpha set by the game, the alpha last written and the factors of every game object that has factors, keyed by game object
+const states = new WeakMap();
+
+/**
+ * Apply the product of the factors of a game object to its alpha.
+ * If the alpha changed since it was last written, the game set it, and the new value is the one the factors apply to from now on.
+ *
+ * @param {Phaser.GameObjects.GameObject} gameObject - The game object.
+ * @param {object} state - The state of the game object.
+ */
+function apply(gameObject, state) {
+  if (gameObject.alpha !== state.written) {
+    state.base = gameObject.alpha;
+  }
+
+  let product = 1;
+
+  state.factors.forEach(factor => {
+    product *= factor;
+  });
+
+  gameObject.alpha = state.base * product;
+  state.written = gameObject.alpha;
+}
+
+/**
+ * Multiply the alpha of a game object by a factor, on top of the factors other systems set, such as the dimming of the fog of war and the fading of occluders.
+ * The factors compose, and the alpha the game sets in the meantime is kept as the value they apply to. Call it again whenever the factor may have changed.
+ *
+ * @function setAlphaFactor
+ * @param {Phaser.GameObjects.GameObject} gameObject - The game object.
+ * @param {object} key - Who sets the factor, such as the FogOfWar or the Occlusion object.
+ * @param {number} factor - The factor, from 0 to 1.
+ */
+export function setAlphaFactor(gameObject, key, factor) {
+  let state = states.get(gameObject);
+
+  if (!state) {
+    state = { base: gameObject.alpha, written: gameObject.alpha, factors: new Map() };
+    states.set(gameObject, state);
+  }
+
+  state.factors.set(key, factor);
+  apply(gameObject, state);
+}
+
+/**
+ * Stop multiplying the alpha of a game object by a factor. Once it has no factors left, it gets back the alpha the game set.
+ *
+ * @function removeAlphaFactor
+ * @param {Phaser.GameObjects.GameObject} gameObject - The game object.
+ * @param {object} key - Who set the factor.
+ */
+export function removeAlphaFactor(gameObject, key) {
+  const state = states.get(gameObject);
+
+  if (!state || !state.factors.delete(key)) {
+    return;
+  }
+
+  if (state.factors.size > 0) {
+    apply(gameObject, state);
+  } else {
+    if (gameObject.alpha === state.written) {
+      gameObject.alpha = state.base;
+    }
+
+    states.delete(gameObject);
+  }
+}
@@ -0,0 +1,282 @@
+import Point3 from './Point3';
+
+//  The corner neighbours, in the order of their bits, with the edge neighbours on either side of them
+const CORNERS = [[4, 0, 1], [5, 1, 2], [6, 2, 3], [7, 3, 0]];
+
+/**
+ * @class Autotiler
+ *
+ * @classdesc
+ * Picks the frame of every tile of a road, wall, river or any other kind of connected tiles from which of its neighbours are occupied, and updates the neighbours when a tile is placed or removed.
+ *
+ * The rules are plain data, keyed by kind, such as `{ road: { neighbours: 4, frames: ['road_dot', 'road_end_e', ...], connects: ['bridge'] } }`. Each rule set has:
+ * - `neighbours`: 4 to look at the tiles sharing an edge, or 8 to look at the ones sharing a corner as well. Defaults to 4.
+ * - `frames`: the frame for every bitmask, as an array indexed by bitmask or an object keyed by bitmask.
+ * - `default`: the frame for bitmasks missing from `frames`.
+ * - `connects`: other kinds that count as occupied, besides the kind itself.
+ *
+ * The bits of the bitmask follow the neighbours of IsoGrid#getNeighbours: 1 for +x (east), 2 for +y (south), 4 for -x (west) and 8 for -y (north), then 16 for southeast, 32 for southwest, 64 for northwest and 128 for northeast.
+ * A corner only counts when both edge neighbours next to it are occupied as well, so 8 neighbour rule sets need frames for 47 bitmasks instead of 256.
+ *
+ * The frames are applied to the IsoSprite given for each tile, and to the tiles of an IsoGround if one is given as layer. Create Autotilers with `scene.iso.createAutotiler(grid, rules, config)`.
+ */
+class Autotiler {
+  /**
+   * @constructor
+   * @param {IsoGrid} grid - The grid of the tiles, which finds their neighbours.
+   * @param {object} rules - The rule set of every kind of tile, keyed by kind.
+   * @param {object} [config] - The configuration of the Autotiler.
+   * @param {IsoGround} [config.layer] - An IsoGround to set the frames of the tiles on, at the cells under the tiles of the grid.
+   */
+  constructor(grid, rules, { layer = null } = {}) {
+    /**
+     * @property {IsoGrid} grid - The grid of the tiles.
+     */
+    this.grid = grid;
+
+    /**
+     * @property {object} rules - The rule set of every kind of tile, keyed by kind. Call refresh after changing them.
+     */
+    this.rules = rules;
+
+    /**
+     * @property {?IsoGround} layer - The IsoGround the frames of the tiles are set on, if any.
+     */
+    this.layer = layer;
+
+    /**
+     * @property {Map.<string, object>} _cells - The kind and IsoSprite of every placed tile, keyed by column and row.
+     * @private
+     */
+    this._cells = new Map();
+
+    /**
+     * @property {Point3} _corner - Internal cache var holding the back corner of a tile.
+     * @private
+     */
+    this._corner = new Point3();
+  }
+
+  /**
+   * Place a tile, picking its frame and updating the frames of its neighbours. A tile placed there before is replaced, and its IsoSprite is left to the caller.
+   *
+   * @method Autotiler#place
+   * @param {number} column - The column of the tile.
+   * @param {number} row - The row of the tile.
+   * @param {string} kind - The kind of the tile, which has to have a rule set.
+   * @param {IsoSprite} [sprite] - The IsoSprite showing the tile, for example one created with `scene.add.isoSprite`.
+   * @return {?IsoSprite} The IsoSprite of the replaced tile, or null if there was none or it is the given one.
+   */
+  place(column, row, kind, sprite = null) {
+    if (!this.rules[kind]) {
+      throw new Error(`No autotiling rules for tiles of kind ${kind}`);
+    }
+
+    const previous = this._cells.get(`${column},${row}`);
+
+    //  The frame is unknown yet, so it is applied even if it matches the one of the replaced tile
+    this._cells.set(`${column},${row}`, { column, row, kind, sprite, frame: undefined });
+    this._updateAround(column, row, []);
+
+    return previous && previous.sprite !== sprite ? previous.sprite : null;
+  }
+
+  /**
+   * Remove a tile, updating the frames of its neighbours. The tile is cleared from the layer, but its IsoSprite is left to the caller.
+   *
+   * @method Autotiler#remove
+   * @param {number} column - The column of the tile.
+   * @param {number} row - The row of the tile.
+   * @return {?IsoSprite} The IsoSprite of the tile, or null if it had none.
+   */
+  remove(column, row) {
+    const cell = this._cells.get(`${column},${row}`);
+
+    if (!cell) {
+      return null;
+    }
+
+    this._cells.delete(`${column},${row}`);
+
+    this._updateAround(column, row, this.layer ? [this._getLayerTile(column, row, null)] : []);
+
+    return cell.sprite;
+  }
+
+  /**
+   * Get the kind of a tile.
+   *
+   * @method Autotiler#getKind
+   * @param {number} column - The column of the tile.
+   * @param {number} row - The row of the tile.
+   * @return {?string} The kind, or null if no tile is placed there.
+   */
+  getKind(column, row) {
+    const cell = this._cells.get(`${column},${row}`);
+
+    return cell ? cell.kind : null;
+  }
+
+  /**
+   * Get the bitmask of the occupied neighbours of a tile, according to the rule set of its kind.
+   *
+   * @method Autotiler#getMask
+   * @param {number} column - The column of the tile.
+   * @param {number} row - The row of the tile.
+   * @return {number} The bitmask, 0 if no tile is placed there.
+   */
+  getMask(column, row) {
+    const kind = this.getKind(column, row);
+
+    if (kind === null) {
+      return 0;
+    }
+
+    const rule = this.rules[kind];
+    const connects = rule.connects || [];
+    const neighbours = this.grid.getNeighbours(column, row, rule.neighbours === 8);
+    const occupied = neighbours.map(({ x, y }) => {
+      const other = this.getKind(x, y);
+
+      return other === kind || connects.indexOf(other) !== -1;
+    });
+    let mask = 0;
+
+    for (let i = 0; i < 4; i++) {
+      if (occupied[i]) {
+        mask |= 1 << i;
+      }
+    }
+
+    if (occupied.length === 8) {
+      CORNERS.forEach(([corner, edge1, edge2]) => {
+        if (occupied[corner] && occupied[edge1] && occupied[edge2]) {
+          mask |= 1 << corner;
+        }
+      });
+    }
+
+    return mask;
+  }
+
+  /**
+   * Get the frame of a tile from the rule set of its kind.
+   *
+   * @method Autotiler#getFrame
+   * @param {number} column - The column of the tile.
+   * @param {number} row - The row of the tile.
+   * @return {?(string|number)} The frame, or null if no tile is placed there.
+   */
+  getFrame(column, row) {
+    const kind = this.getKind(column, row);
+
+    if (kind === null) {
+      return null;
+    }
+
+    const rule = this.rules[kind];
+    const frame = rule.frames[this.getMask(column, row)];
+
+    return typeof frame === 'undefined' ? rule.default : frame;
+  }
+
+  /**
+   * Update the frames of all tiles, for example after changing the rules.
+   *
+   * @method Autotiler#refresh
+   * @return {Autotiler} This Autotiler object.
+   */
+  refresh() {
+    const layerTiles = [];
+
+    this._cells.forEach(cell => this._updateTile(cell, layerTiles));
+    this._setLayerTiles(layerTiles);
+
+    return this;
+  }
+
+  /**
+   * Update the frames of a tile and all tiles around it, and set the changed ones on the layer at once.
+   *
+   * @method Autotiler#_updateAround
+   * @param {number} column - The column of the tile.
+   * @param {number} row - The row of the tile.
+   * @param {Array.<object>} layerTiles - The tiles to set on the layer along with the changed ones.
+   * @private
+   */
+  _updateAround(column, row, layerTiles) {
+    const positions = [{ x: column, y: row }].concat(this.grid.getNeighbours(column, row, true));
+
+    positions.forEach(({ x, y }) => {
+      const cell = this._cells.get(`${x},${y}`);
+
+      if (cell) {
+        this._updateTile(cell, layerTiles);
+      }
+    });
+
+    this._setLayerTiles(layerTiles);
+  }
+
+  /**
+   * Apply the frame of a tile to its IsoSprite, and queue it for the layer, if it changed.
+   *
+   * @method Autotiler#_updateTile
+   * @param {object} cell - The tile.
+   * @param {Array.<object>} layerTiles - The tiles to set on the layer, which the tile is added to.
+   * @private
+   */
+  _updateTile(cell, layerTiles) {
+    const frame = this.getFrame(cell.column, cell.row);
+
+    if (frame === cell.frame) {
+      return;
+    }
+
+    cell.frame = frame;
+
+    if (cell.sprite) {
+      cell.sprite.setFrame(frame);
+    }
+
+    if (this.layer) {
+      layerTiles.push(this._getLayerTile(cell.column, cell.row, frame));
+    }
+  }
+
+  /**
+   * Set tiles on the layer, which rebuilds each changed chunk once.
+   *
+   * @method Autotiler#_setLayerTiles
+   * @param {Array.<object>} layerTiles - The tiles, as returned by _getLayerTile.
+   * @private
+   */
+  _setLayerTiles(layerTiles) {
+    if (this.layer && layerTiles.length > 0) {
+      this.layer.setTiles(layerTiles);
+    }
+  }
+
+  /**
+   * Get the cell of the layer under the center of a tile of the grid.
+   *
+   * @method Autotiler#_getLayerTile
+   * @param {number} column - The column of the tile.
+   * @param {number} row - The row of the tile.
+   * @param {?(string|number)} frame - The frame, or null to clear the cell.
+   * @return {object} The `column`, `row` and `frame` of the cell of the layer.
+   * @private
+   */
+  _getLayerTile(column, row, frame) {
+    const { grid, layer } = this;
+    const corner = grid.tileToIso(column, row, this._corner);
+
+    return {
+      column: Math.floor((corner.x + grid.cellSizeX * 0.5 - layer.origin.x) / layer.cellSize),
+      row: Math.floor((corner.y + grid.cellSizeY * 0.5 - layer.origin.y) / layer.cellSize),
+      frame
+    };
+  }
+}
+
+export default Autotiler;
@@ -0,0 +1,40 @@
+/**
+ * Calculate the convex hull of a set of 2D points with the monotone chain algorithm.
+ *
+ * @function convexHull
+ * @param {Array.<Phaser.Geom.Point>} points - The points to wrap. The array is sorted in place.
+ * @return {Array.<Phaser.Geom.Point>} The points on the hull in counter-clockwise order (clockwise on the screen, where y points down), without collinear points.
+ */
+export default function convexHull(points) {
+  if (points.length < 3) {
+    return points.slice();
+  }
+
+  points.sort((a, b) => (a.x === b.x ? a.y - b.y : a.x - b.x));
+
+  const cross = (o, a, b) => ((a.x - o.x) * (b.y - o.y)) - ((a.y - o.y) * (b.x - o.x));
+  const lower = [];
+  const upper = [];
+
+  for (let i = 0; i < points.length; i++) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], points[i]) <= 0) {
+      lower.pop();
+    }
+
+    lower.push(points[i]);
+  }
+
+  for (let i = points.length - 1; i >= 0; i--) {
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], points[i]) <= 0) {
+      upper.pop();
+    }
+
+    upper.push(points[i]);
+  }
+
+  //  The last point of each chain is the first point of the other one
+  lower.pop();
+  upper.pop();
+
+  return lower.concat(upper);
+}
@@ -0,0 +1,429 @@
+import Cube from './Cube';
+import { ISOZONE } from './IsoZone';
+
+const Point = Phaser.Geom.Point;
+
+/**
+ * @class DepthSorter
+ *
+ * @classdesc
+ * Orders the IsoSprites of a scene by comparing their isoBounds, instead of relying on the depth of their position alone.
+ * Every IsoSprite keeps the set of IsoSprites which overlap it on the screen and are behind it in 3D space, and the resulting dependency graph is sorted topologically.
+ * Only IsoSprites whose bounds changed since the last sort (or that were marked as dirty) get their dependencies recalculated.
+ * Other game objects, such as shadows, can be sorted along with them by bounds of their own, see add.
+ */
+class DepthSorter {
+  /**
+   * @constructor
+   * @param {Phaser.Scene} scene - A reference to the current scene.
+   * @param {Projector} projector - The projector used to project and compare the bounds.
+   */
+  constructor(scene, projector) {
+    /**
+     * @property {Phaser.Scene} scene - A reference to the current scene.
+     */
+    this.scene = scene;
+
+    /**
+     * @property {Projector} projector - The projector used to project and compare the bounds.
+     */
+    this.projector = projector;
+
+    /**
+     * @property {boolean} enabled - Whether the sorter is active. Use enable() and disable() to change it.
+     * @readonly
+     */
+    this.enabled = false;
+
+    /**
+     * @property {number} baseDepth - The depth given to the rear-most IsoSprite. Each following IsoSprite gets a depth one higher.
+     * @default
+     */
+    this.baseDepth = 0;
+
+    /**
+     * @property {Map} _nodes - The nodes of the dependency graph, keyed by IsoSprite.
+     * @private
+     */
+    this._nodes = new Map();
+
+    /**
+     * @property {Array} _list - The nodes of the dependency graph, in the order of their projected depth as of the last sort.
+     * @private
+     */
+    this._list = [];
+
+    /**
+     * @property {number} _frame - Counts the updates, to tell which nodes are still on the display list.
+     * @private
+     */
+    this._frame = 0;
+
+    /**
+     * @property {Map} _bounds - The bounds of the game objects that are sorted without being iso game objects, keyed by game object.
+     * @private
+     */
+    this._bounds = new Map();
+
+    /**
+     * @property {Set} _dirty - The nodes whose dependencies have to be recalculated.
+     * @private
+     */
+    this._dirty = new Set();
+
+    /**
+     * @property {boolean} _removed - Whether nodes were removed since the last sort.
+     * @private
+     */
+    this._removed = false;
+
+    /**
+     * @property {Array} _order - The IsoSprites in the order they were last sorted in.
+     * @private
+     */
+    this._order = [];
+
+    /**
+     * @property {number} _time - The time of the update the IsoSprites were last sorted in.
+     * @private
+     */
+    this._time = NaN;
+
+    /**
+     * @property {Phaser.Geom.Point} _projected - Internal cache var.
+     * @private
+     */
+    this._projected = new Point();
+
+    projector.on('rotate', this.invalidate, this);
+    projector.on('projectionchange', this.invalidate, this);
+  }
+
+  /**
+   * Start sorting the IsoSprites of the scene after every update.
+   *
+   * @method DepthSorter#enable
+   * @return {DepthSorter} This DepthSorter object.
+   */
+  enable() {
+    if (!this.enabled) {
+      this.enabled = true;
+      this.scene.sys.events.on('postupdate', this.update, this);
+    }
+
+    return this;
+  }
+
+  /**
+   * Stop sorting the IsoSprites of the scene. They go back to getting their depth from their position.
+   *
+   * @method DepthSorter#disable
+   * @return {DepthSorter} This DepthSorter object.
+   */
+  disable() {
+    if (this.enabled) {
+      this.enabled = false;
+      this.scene.sys.events.off('postupdate', this.update, this);
+
+      this._list.forEach(node => {
+        node.sprite._isoPositionChanged = true;
+      });
+
+      this._nodes.clear();
+      this._list.length = 0;
+      this._dirty.clear();
+      this._order.length = 0;
+      this._removed = false;
+    }
+
+    return this;
+  }
+
+  /**
+   * Sort a game object that is not an iso game object, such as the display of a Shadow, along with the IsoSprites while it is on the display list.
+   * The caller keeps the bounds up to date, before the sort after every update.
+   *
+   * @method DepthSorter#add
+   * @param {Phaser.GameObjects.GameObject} gameObject - The game object to sort.
+   * @param {Cube} bounds - The bounds to sort the game object by.
+   * @return {DepthSorter} This DepthSorter object.
+   */
+  add(gameObject, bounds) {
+    this._bounds.set(gameObject, bounds);
+
+    return this;
+  }
+
+  /**
+   * Stop sorting a game object added with add.
+   *
+   * @method DepthSorter#remove
+   * @param {Phaser.GameObjects.GameObject} gameObject - The game object to stop sorting.
+   * @return {DepthSorter} This DepthSorter object.
+   */
+  remove(gameObject) {
+    this._bounds.delete(gameObject);
+
+    return this;
+  }
+
+  /**
+   * Mark an IsoSprite as dirty, so its dependencies are recalculated on the next update, even if its bounds did not change.
+   *
+   * @method DepthSorter#markDirty
+   * @param {IsoSprite} sprite - The IsoSprite to mark.
+   */
+  markDirty(sprite) {
+    const node = this._nodes.get(sprite);
+
+    if (node) {
+      this._dirty.add(node);
+    }
+  }
+
+  /**
+   * Mark all IsoSprites as dirty. This is done automatically when the view is rotated or the projection changes.
+   *
+   * @method DepthSorter#invalidate
+   */
+  invalidate() {
+    this._list.forEach(node => this._dirty.add(node));
+  }
+
+  /**
+   * Sort the IsoSprites of the scene if any of them changed and apply their depth. Called automatically after every update while enabled.
+   * Systems that depend on the new depth call it first, which makes the automatic call of the same update do nothing.
+   *
+   * @method DepthSorter#update
+   * @param {number} [time] - The current timestamp. Without it the IsoSprites are always sorted.
+   */
+  update(time) {
+    if (typeof time !== 'undefined' && time === this._time) {
+      return;
+    }
+
+    this._time = time;
+    this._syncNodes();
+
+    if (this._dirty.size > 0 || this._removed) {
+      this._dirty.forEach(node => this._updateNode(node));
+      this._dirty.forEach(node => this._linkNode(node));
+      this._dirty.clear();
+      this._removed = false;
+
+      this._sort();
+    }
+
+    for (let i = 0; i < this._order.length; i++) {
+      this._order[i].depth = this.baseDepth + i;
+    }
+  }
+
+  /**
+   * Add nodes for new IsoSprites, remove the nodes of IsoSprites that left the display list and mark moved IsoSprites as dirty.
+   *
+   * @method DepthSorter#_syncNodes
+   * @private
+   */
+  _syncNodes() {
+    const list = this.scene.sys.displayList.list;
+    const frame = ++this._frame;
+
+    for (let i = 0; i < list.length; i++) {
+      const sprite = list[i];
+      const bounds = this._getBounds(sprite);
+
+      if (!bounds) {
+        continue;
+      }
+
+      let node = this._nodes.get(sprite);
+
+      if (!node) {
+        node = {
+          sprite,
+          bounds: new Cube(),
+          minX: 0,
+          minY: 0,
+          maxX: 0,
+          maxY: 0,
+          behind: new Set(),
+          inFront: new Set(),
+          frame
+        };
+
+        this._nodes.set(sprite, node);
+        this._list.push(node);
+        this._dirty.add(node);
+      } else if (!this._dirty.has(node) && !sameCube(node.bounds, bounds)) {
+        this._dirty.add(node);
+      }
+
+      node.frame = frame;
+    }
+
+    //  Nodes not seen in this update left the display list, they are swapped with the last node and removed
+    const nodes = this._list;
+    let i = 0;
+
+    while (i < nodes.length) {
+      const node = nodes[i];
+
+      if (node.frame === frame) {
+        i++;
+        continue;
+      }
+
+      nodes[i] = nodes[nodes.length - 1];
+      nodes.pop();
+
+      this._nodes.delete(node.sprite);
+      this._dirty.delete(node);
+      this._unlinkNode(node);
+      this._removed = true;
+    }
+  }
+
+  /**
+   * Get the bounds a game object is sorted by.
+   *
+   * @method DepthSorter#_getBounds
+   * @param {Phaser.GameObjects.GameObject} gameObject - The game object.
+   * @return {?Cube} The isoBounds of an iso game object, the bounds given to add for other game objects, or null if the game object is not sorted.
+   * @private
+   */
+  _getBounds(gameObject) {
+    if (gameObject.isIsoObject) {
+      return gameObject.type === ISOZONE ? null : gameObject.isoBounds;
+    }
+
+    return this._bounds.get(gameObject) || null;
+  }
+
+  /**
+   * Store the current bounds of a node and the rectangle they cover on the screen.
+   *
+   * @method DepthSorter#_updateNode
+   * @param {object} node - The node to update.
+   * @private
+   */
+  _updateNode(node) {
+    node.bounds.copyFrom(this._getBounds(node.sprite));
+
+    const corners = node.bounds.getCorners();
+
+    node.minX = node.minY = Infinity;
+    node.maxX = node.maxY = -Infinity;
+
+    for (let i = 0; i < corners.length; i++) {
+      const { x, y } = this.projector.project(corners[i], this._projected);
+
+      node.minX = Math.min(node.minX, x);
+      node.minY = Math.min(node.minY, y);
+      node.maxX = Math.max(node.maxX, x);
+      node.maxY = Math.max(node.maxY, y);
+    }
+  }
+
+  /**
+   * Recalculate which nodes a dirty node is in front of and behind.
+   *
+   * @method DepthSorter#_linkNode
+   * @param {object} node - The node to link.
+   * @private
+   */
+  _linkNode(node) {
+    this._unlinkNode(node);
+
+    const nodes = this._list;
+
+    for (let i = 0; i < nodes.length; i++) {
+      const other = nodes[i];
+
+      if (other === node || node.minX >= other.maxX || node.maxX <= other.minX || node.minY >= other.maxY || node.maxY <= other.minY) {
+        continue;
+      }
+
+      const order = this.projector.compareCubes(node.bounds, other.bounds);
+
+      if (order < 0) {
+        other.behind.add(node);
+        node.inFront.add(other);
+      } else if (order > 0) {
+        node.behind.add(other);
+        other.inFront.add(node);
+      }
+    }
+  }
+
+  /**
+   * Remove the links between a node and the nodes it is in front of and behind.
+   *
+   * @method DepthSorter#_unlinkNode
+   * @param {object} node - The node to unlink.
+   * @private
+   */
+  _unlinkNode(node) {
+    node.behind.forEach(other => other.inFront.delete(node));
+    node.inFront.forEach(other => other.behind.delete(node));
+    node.behind.clear();
+    node.inFront.clear();
+  }
+
+  /**
+   * Sort the dependency graph topologically. Nodes without dependencies between them keep the order of their projected depth, and cycles are broken in that order as well.
+   *
+   * @method DepthSorter#_sort
+   * @private
+   */
+  _sort() {
+    const projector = this.projector;
+    const nodes = this._list;
+    const visited = new Set();
+    const order = this._order;
+
+    //  Game objects without an iso position are placed by the back corner of their bounds
+    nodes.sort((a, b) => projector.getDepth(a.sprite.isoPosition || a.bounds) - projector.getDepth(b.sprite.isoPosition || b.bounds));
+
+    order.length = 0;
+
+    //  Depth-first search with an explicit stack, as long chains of objects behind each other would overflow the call stack
+    const stack = [];
+
+    nodes.forEach(root => {
+      if (visited.has(root)) {
+        return;
+      }
+
+      visited.add(root);
+      stack.push({ node: root, behind: root.behind.values() });
+
+      while (stack.length > 0) {
+        const top = stack[stack.length - 1];
+        const next = top.behind.next();
+
+        if (next.done) {
+          stack.pop();
+          order.push(top.node.sprite);
+        } else if (!visited.has(next.value)) {
+          visited.add(next.value);
+          stack.push({ node: next.value, behind: next.value.behind.values() });
+        }
+      }
+    });
+  }
+}
+
+/**
+ * Determines whether a cached Cube still matches the given bounds.
+ *
+ * @param {Cube} a - The cached Cube.
+ * @param {Cube} b - The current bounds.
+ * @return {boolean} True if both describe the same region.
+ * @private
+ */
+function sameCube(a, b) {
+  return a.x === b.x && a.y === b.y && a.z === b.z && a.widthX === b.widthX && a.widthY === b.widthY && a.height === b.height;
+}
+
+export default DepthSorter;
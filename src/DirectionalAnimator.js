@@ -0,0 +1,145 @@
+import Point3 from './Point3';
+import { S, NONE, fromVector, toVector } from './Facing';
+
+const Point = Phaser.Geom.Point;
+
+/**
+ * @class DirectionalAnimator
+ *
+ * @classdesc
+ * Plays the animation out of an eight-direction set that matches the direction an IsoSprite's physics body, or its path follower while it follows a Path3, is facing on the screen.
+ * The animations have to be created beforehand with keys made of a prefix and a compass direction, e.g. `walk_ne` or `idle_s`, where north is up on the screen.
+ * As the facing of the body is given in iso axes, the screen direction changes with the projection and the view rotation.
+ */
+class DirectionalAnimator {
+  /**
+   * @constructor
+   * @param {IsoSprite} sprite - The IsoSprite to animate. It needs a physics body to pick a direction.
+   * @param {object} [config] - The configuration of the animator.
+   * @param {string} [config.move='walk'] - The key prefix of the animations played while the body is moving.
+   * @param {?string} [config.idle='idle'] - The key prefix of the animations played while the body stands still, or null to stop the animation instead.
+   * @param {string} [config.separator='_'] - The separator between key prefix and direction.
+   * @param {number} [config.threshold=0] - The speed on the x/y plane the body has to exceed to count as moving.
+   * @param {string} [config.direction=S] - The screen direction to start with.
+   */
+  constructor(sprite, { move = 'walk', idle = 'idle', separator = '_', threshold = 0, direction = S } = {}) {
+    /**
+     * @property {IsoSprite} sprite - The IsoSprite being animated.
+     */
+    this.sprite = sprite;
+
+    /**
+     * @property {Projector} projector - The projector used to turn the facing of the body into a screen direction.
+     */
+    this.projector = sprite.scene[sprite.scene.sys.settings.map.isoPlugin].projector;
+
+    /**
+     * @property {string} move - The key prefix of the animations played while the body is moving.
+     */
+    this.move = move;
+
+    /**
+     * @property {?string} idle - The key prefix of the animations played while the body stands still, or null to stop the animation instead.
+     */
+    this.idle = idle;
+
+    /**
+     * @property {string} separator - The separator between key prefix and direction.
+     */
+    this.separator = separator;
+
+    /**
+     * @property {number} threshold - The speed on the x/y plane the body has to exceed to count as moving.
+     */
+    this.threshold = threshold;
+
+    /**
+     * @property {string} direction - The compass direction on the screen the IsoSprite is currently shown facing.
+     * @readonly
+     */
+    this.direction = direction;
+
+    /**
+     * @property {?string} currentKey - The key of the animation currently played by the animator.
+     * @readonly
+     */
+    this.currentKey = null;
+
+    /**
+     * @property {Point3} _facing - Internal cache var holding the facing of the body as a vector.
+     * @private
+     */
+    this._facing = new Point3();
+
+    /**
+     * @property {Phaser.Geom.Point} _screen - Internal cache var holding the facing projected to the screen.
+     * @private
+     */
+    this._screen = new Point();
+
+    //  The physics bodies update their direction on postupdate as well, and were registered before
+    sprite.scene.sys.events.on('postupdate', this.update, this);
+    sprite.scene.sys.events.once('shutdown', this.destroy, this);
+    sprite.once('destroy', this.destroy, this);
+  }
+
+  /**
+   * Pick and play the animation for the current facing and speed of the body. Called automatically after every update.
+   *
+   * @method DirectionalAnimator#update
+   */
+  update() {
+    const { body, pathFollower } = this.sprite;
+    const following = pathFollower !== null && pathFollower.isFollowing();
+
+    //  A path follower moves the IsoSprite without giving its body a velocity
+    if (!body && !following) {
+      return;
+    }
+
+    const facing = following ? pathFollower.facing : body.direction;
+
+    if (facing !== NONE) {
+      toVector(facing, this._facing);
+      this.projector.projectVector(this._facing, this._screen);
+
+      const direction = fromVector(this._screen.x, this._screen.y);
+
+      if (direction !== NONE) {
+        this.direction = direction;
+      }
+    }
+
+    const moving = following || Math.sqrt(body.velocity.x * body.velocity.x + body.velocity.y * body.velocity.y) > this.threshold;
+    const prefix = moving ? this.move : this.idle;
+
+    if (prefix === null) {
+      if (this.currentKey !== null) {
+        this.sprite.anims.stop();
+        this.currentKey = null;
+      }
+
+      return;
+    }
+
+    const key = prefix + this.separator + this.direction;
+
+    if (key !== this.currentKey) {
+      this.sprite.anims.play(key, true);
+      this.currentKey = key;
+    }
+  }
+
+  /**
+   * Stop updating the animation of the IsoSprite. Called automatically when the IsoSprite is destroyed or the scene shuts down.
+   *
+   * @method DirectionalAnimator#destroy
+   */
+  destroy() {
+    this.sprite.scene.sys.events.off('postupdate', this.update, this);
+    this.sprite.scene.sys.events.off('shutdown', this.destroy, this);
+    this.sprite.off('destroy', this.destroy, this);
+  }
+}
+
+export default DirectionalAnimator;
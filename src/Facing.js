@@ -0,0 +1,53 @@
+const Point = Phaser.Geom.Point;
+
+//  Compass directions, with east along the positive x axis and south along the positive y axis.
+//  The values double as the suffixes of directional animation keys, e.g. `walk_ne`.
+export const NONE = 'none';
+export const E = 'e';
+export const SE = 'se';
+export const S = 's';
+export const SW = 'sw';
+export const W = 'w';
+export const NW = 'nw';
+export const N = 'n';
+export const NE = 'ne';
+
+//  The directions in clockwise order, starting at the positive x axis
+const DIRECTIONS = [E, SE, S, SW, W, NW, N, NE];
+
+/**
+ * Get the compass direction closest to the given 2D vector. Works for iso x/y vectors as well as for screen vectors, where south is down.
+ *
+ * @param {number} x - The x component of the vector.
+ * @param {number} y - The y component of the vector.
+ * @return {string} One of the eight compass directions, or NONE if the vector has no length.
+ */
+export function fromVector(x, y) {
+  if (x === 0 && y === 0) {
+    return NONE;
+  }
+
+  //  Each direction covers a 45° sector centred on it
+  const index = Math.round(Math.atan2(y, x) / (Math.PI / 4));
+
+  return DIRECTIONS[(index + 8) % 8];
+}
+
+/**
+ * Get the unit vector pointing in the given compass direction.
+ *
+ * @param {string} facing - The compass direction.
+ * @param {Phaser.Geom.Point} [out] - The Point to set the vector into.
+ * @return {Phaser.Geom.Point} The vector, which has no length for NONE.
+ */
+export function toVector(facing, out = new Point()) {
+  const index = DIRECTIONS.indexOf(facing);
+
+  if (index === -1) {
+    return out.setTo(0, 0);
+  }
+
+  const angle = index * (Math.PI / 4);
+
+  return out.setTo(Math.cos(angle), Math.sin(angle));
+}
@@ -0,0 +1,556 @@
+import Point3 from './Point3';
+import { ISOZONE } from './IsoZone';
+import { setAlphaFactor, removeAlphaFactor } from './AlphaFactors';
+
+//  Cell states
+export const UNEXPLORED = 0;
+export const EXPLORED = 1;
+export const VISIBLE = 2;
+
+/**
+ * @class FogOfWar
+ *
+ * @classdesc
+ * A fog of war on a grid of square cells on the iso x/y plane. Every cell is either unexplored, explored or visible.
+ * Cells within the radius of a vision source are visible, and become explored once no source sees them anymore.
+ * The fog is drawn as projected diamonds over the cells that are not visible, iso game objects in unexplored cells are hidden and the ones in explored cells are dimmed.
+ * The explored cells can be serialized, so a saved game can restore them.
+ * Enable it with `scene.iso.fog.enable(config)` and add vision sources with `scene.iso.fog.addSource(sprite, radius)`.
+ */
+class FogOfWar {
+  /**
+   * @constructor
+   * @param {Phaser.Scene} scene - A reference to the current scene.
+   * @param {Projector} projector - The projector of the scene, whose changes make the overlay be drawn again.
+   */
+  constructor(scene, projector) {
+    /**
+     * @property {Phaser.Scene} scene - A reference to the current scene.
+     */
+    this.scene = scene;
+
+    /**
+     * @property {boolean} enabled - Whether the fog is active. Use enable() and disable() to change it.
+     * @readonly
+     */
+    this.enabled = false;
+
+    /**
+     * @property {number} x - The x coordinate (in 3D space) of the back corner of the grid.
+     * @readonly
+     */
+    this.x = 0;
+
+    /**
+     * @property {number} y - The y coordinate (in 3D space) of the back corner of the grid.
+     * @readonly
+     */
+    this.y = 0;
+
+    /**
+     * @property {number} z - The height the fog is drawn at.
+     * @readonly
+     */
+    this.z = 0;
+
+    /**
+     * @property {number} cellSize - The size of a cell on the x and y axes.
+     * @readonly
+     */
+    this.cellSize = 38;
+
+    /**
+     * @property {number} width - The number of cells on the x axis.
+     * @readonly
+     */
+    this.width = 0;
+
+    /**
+     * @property {number} height - The number of cells on the y axis.
+     * @readonly
+     */
+    this.height = 0;
+
+    /**
+     * @property {number} color - The color of the fog.
+     */
+    this.color = 0x000000;
+
+    /**
+     * @property {number} unexploredAlpha - The alpha of the fog over unexplored cells.
+     */
+    this.unexploredAlpha = 1;
+
+    /**
+     * @property {number} exploredAlpha - The alpha of the fog over explored cells.
+     */
+    this.exploredAlpha = 0.5;
+
+    /**
+     * @property {number} dimAlpha - The factor the alpha of iso game objects in explored cells is multiplied by. It applies to the alpha the game sets, see setAlphaFactor.
+     */
+    this.dimAlpha = 0.5;
+
+    /**
+     * @property {Uint8Array} cells - The state of every cell, row by row. Empty while the fog is disabled.
+     * @readonly
+     */
+    this.cells = new Uint8Array(0);
+
+    /**
+     * @property {?IsoGraphics} overlay - The IsoGraphics drawing the fog.
+     * @readonly
+     */
+    this.overlay = null;
+
+    /**
+     * @property {Map} _sources - The radius of every vision source, keyed by IsoSprite.
+     * @private
+     */
+    this._sources = new Map();
+
+    /**
+     * @property {Map} _fogged - Whether the fog hid each game object in a fogged cell, keyed by game object. Their alpha is dimmed with an alpha factor.
+     * @private
+     */
+    this._fogged = new Map();
+
+    /**
+     * @property {boolean} _dirty - Whether the overlay has to be drawn again.
+     * @private
+     */
+    this._dirty = true;
+
+    /**
+     * @property {Array.<Point3>} _diamond - Internal cache var holding the corners of a cell.
+     * @private
+     */
+    this._diamond = [new Point3(), new Point3(), new Point3(), new Point3()];
+
+    /**
+     * @property {Uint8Array} _previous - Internal cache var holding the state of every cell before an update.
+     * @private
+     */
+    this._previous = new Uint8Array(0);
+
+    projector.on('rotate', this._invalidate, this);
+    projector.on('projectionchange', this._invalidate, this);
+    scene.sys.events.on('shutdown', this._shutdown, this);
+  }
+
+  /**
+   * Create the grid and start updating the fog after every update. All cells start unexplored. Calling it again resets the grid with the new configuration.
+   *
+   * @method FogOfWar#enable
+   * @param {object} config - The configuration of the grid.
+   * @param {number} config.width - The number of cells on the x axis.
+   * @param {number} config.height - The number of cells on the y axis.
+   * @param {number} [config.cellSize=38] - The size of a cell on the x and y axes.
+   * @param {number} [config.x=0] - The x coordinate (in 3D space) of the back corner of the grid.
+   * @param {number} [config.y=0] - The y coordinate (in 3D space) of the back corner of the grid.
+   * @param {number} [config.z=0] - The height the fog is drawn at.
+   * @param {number} [config.color=0x000000] - The color of the fog.
+   * @param {number} [config.unexploredAlpha=1] - The alpha of the fog over unexplored cells.
+   * @param {number} [config.exploredAlpha=0.5] - The alpha of the fog over explored cells.
+   * @param {number} [config.dimAlpha=0.5] - The factor the alpha of iso game objects in explored cells is multiplied by.
+   * @param {number} [config.depth=Number.MAX_SAFE_INTEGER] - The depth of the fog overlay, on top of everything by default.
+   * @return {FogOfWar} This FogOfWar object.
+   */
+  enable({
+    width,
+    height,
+    cellSize = 38,
+    x = 0,
+    y = 0,
+    z = 0,
+    color = 0x000000,
+    unexploredAlpha = 1,
+    exploredAlpha = 0.5,
+    dimAlpha = 0.5,
+    depth = Number.MAX_SAFE_INTEGER
+  }) {
+    this._restoreFogged();
+
+    this.width = width;
+    this.height = height;
+    this.cellSize = cellSize;
+    this.x = x;
+    this.y = y;
+    this.z = z;
+    this.color = color;
+    this.unexploredAlpha = unexploredAlpha;
+    this.exploredAlpha = exploredAlpha;
+    this.dimAlpha = dimAlpha;
+    this.cells = new Uint8Array(width * height);
+    this._previous = new Uint8Array(width * height);
+    this._dirty = true;
+
+    if (!this.overlay) {
+      this.overlay = this.scene.add.isoGraphics();
+    }
+
+    this.overlay.setDepth(depth);
+
+    if (!this.enabled) {
+      this.enabled = true;
+      this.scene.sys.events.on('postupdate', this.update, this);
+    }
+
+    return this;
+  }
+
+  /**
+   * Remove the fog, its overlay and the grid. Game objects in fogged cells are shown again.
+   *
+   * @method FogOfWar#disable
+   * @return {FogOfWar} This FogOfWar object.
+   */
+  disable() {
+    if (this.enabled) {
+      this.enabled = false;
+      this.scene.sys.events.off('postupdate', this.update, this);
+
+      this._restoreFogged();
+      this.overlay.destroy();
+      this.overlay = null;
+      this.width = 0;
+      this.height = 0;
+      this.cells = new Uint8Array(0);
+      this._previous = new Uint8Array(0);
+    }
+
+    return this;
+  }
+
+  /**
+   * Add a vision source, which makes the cells within a radius around it visible. It is removed automatically when destroyed.
+   *
+   * @method FogOfWar#addSource
+   * @param {IsoSprite} sprite - The iso game object that sees.
+   * @param {number} radius - The distance the source sees on the x/y plane.
+   * @return {FogOfWar} This FogOfWar object.
+   */
+  addSource(sprite, radius) {
+    if (!this._sources.has(sprite)) {
+      sprite.once('destroy', this.removeSource, this);
+    }
+
+    this._sources.set(sprite, radius);
+
+    return this;
+  }
+
+  /**
+   * Remove a vision source.
+   *
+   * @method FogOfWar#removeSource
+   * @param {IsoSprite} sprite - The iso game object that saw.
+   * @return {FogOfWar} This FogOfWar object.
+   */
+  removeSource(sprite) {
+    if (this._sources.delete(sprite)) {
+      sprite.off('destroy', this.removeSource, this);
+    }
+
+    return this;
+  }
+
+  /**
+   * Get the state of a cell.
+   *
+   * @method FogOfWar#getState
+   * @param {number} column - The column of the cell, along the x axis.
+   * @param {number} row - The row of the cell, along the y axis.
+   * @return {number} UNEXPLORED, EXPLORED or VISIBLE. Cells outside the grid are unexplored.
+   */
+  getState(column, row) {
+    if (column < 0 || row < 0 || column >= this.width || row >= this.height) {
+      return UNEXPLORED;
+    }
+
+    return this.cells[row * this.width + column];
+  }
+
+  /**
+   * Get the state of the cell at a point on the x/y plane.
+   *
+   * @method FogOfWar#getStateAt
+   * @param {number} x - The x coordinate (in 3D space) of the point.
+   * @param {number} y - The y coordinate (in 3D space) of the point.
+   * @return {number} UNEXPLORED, EXPLORED or VISIBLE.
+   */
+  getStateAt(x, y) {
+    return this.getState(Math.floor((x - this.x) / this.cellSize), Math.floor((y - this.y) / this.cellSize));
+  }
+
+  /**
+   * Mark the cells within a radius around a point as explored, for example to reveal a map the player bought.
+   *
+   * @method FogOfWar#explore
+   * @param {number} x - The x coordinate (in 3D space) of the point.
+   * @param {number} y - The y coordinate (in 3D space) of the point.
+   * @param {number} radius - The radius on the x/y plane.
+   * @return {FogOfWar} This FogOfWar object.
+   */
+  explore(x, y, radius) {
+    this._forEachCellInRadius(x, y, radius, index => {
+      if (this.cells[index] === UNEXPLORED) {
+        this.cells[index] = EXPLORED;
+        this._dirty = true;
+      }
+    });
+
+    return this;
+  }
+
+  /**
+   * Get the explored cells in a form that can be stored, for example in a saved game.
+   *
+   * @method FogOfWar#serialize
+   * @return {object} The size of the grid and a string with a `1` for every explored cell and a `0` for every unexplored one.
+   */
+  serialize() {
+    let explored = '';
+
+    for (let i = 0; i < this.cells.length; i++) {
+      explored += this.cells[i] === UNEXPLORED ? '0' : '1';
+    }
+
+    return { width: this.width, height: this.height, explored };
+  }
+
+  /**
+   * Restore the explored cells from the result of serialize. The grid has to be enabled with the same size. Cells become visible again on the next update.
+   *
+   * @method FogOfWar#deserialize
+   * @param {object} data - The result of serialize.
+   * @return {FogOfWar} This FogOfWar object.
+   */
+  deserialize(data) {
+    if (data.width !== this.width || data.height !== this.height) {
+      throw new Error(`Fog of war data of ${data.width}x${data.height} cells does not fit a grid of ${this.width}x${this.height} cells`);
+    }
+
+    for (let i = 0; i < this.cells.length; i++) {
+      this.cells[i] = data.explored.charAt(i) === '1' ? EXPLORED : UNEXPLORED;
+    }
+
+    this._dirty = true;
+
+    return this;
+  }
+
+  /**
+   * Update the visible cells from the vision sources, hide or dim the game objects in fogged cells and draw the fog. Called automatically after every update while enabled.
+   *
+   * @method FogOfWar#update
+   */
+  update() {
+    if (!this.enabled) {
+      return;
+    }
+
+    const cells = this.cells;
+    const previous = this._previous;
+
+    previous.set(cells);
+
+    for (let i = 0; i < cells.length; i++) {
+      if (cells[i] === VISIBLE) {
+        cells[i] = EXPLORED;
+      }
+    }
+
+    this._sources.forEach((radius, sprite) => {
+      this._forEachCellInRadius(sprite.isoX, sprite.isoY, radius, index => {
+        cells[index] = VISIBLE;
+      });
+    });
+
+    for (let i = 0; i < cells.length && !this._dirty; i++) {
+      this._dirty = cells[i] !== previous[i];
+    }
+
+    this._updateGameObjects();
+
+    if (this._dirty) {
+      this._dirty = false;
+      this._draw();
+    }
+  }
+
+  /**
+   * Hide the iso game objects in unexplored cells, dim the ones in explored cells and restore the ones in visible cells.
+   *
+   * @method FogOfWar#_updateGameObjects
+   * @private
+   */
+  _updateGameObjects() {
+    const list = this.scene.sys.displayList.list;
+
+    for (let i = 0; i < list.length; i++) {
+      const gameObject = list[i];
+
+      if (!gameObject.isIsoObject || gameObject.type === ISOZONE || this._sources.has(gameObject)) {
+        continue;
+      }
+
+      const state = this.getStateAt(gameObject.isoX, gameObject.isoY);
+
+      if (state === VISIBLE) {
+        if (this._fogged.has(gameObject)) {
+          this._unfog(gameObject);
+        }
+
+        continue;
+      }
+
+      let hidden = this._fogged.get(gameObject) || false;
+
+      //  Only the visibility the fog changed itself is given back, game objects hidden by the game stay hidden
+      if (state === UNEXPLORED) {
+        if (gameObject.visible) {
+          gameObject.visible = false;
+          hidden = true;
+        }
+      } else if (hidden) {
+        gameObject.visible = true;
+        hidden = false;
+      }
+
+      this._fogged.set(gameObject, hidden);
+      setAlphaFactor(gameObject, this, this.dimAlpha);
+    }
+
+    //  Forget game objects that were removed from the scene
+    this._fogged.forEach((hidden, gameObject) => {
+      if (!gameObject.scene) {
+        this._fogged.delete(gameObject);
+      }
+    });
+  }
+
+  /**
+   * Show a game object the fog hid and stop dimming it.
+   *
+   * @method FogOfWar#_unfog
+   * @param {Phaser.GameObjects.GameObject} gameObject - The game object in a fogged cell.
+   * @private
+   */
+  _unfog(gameObject) {
+    if (this._fogged.get(gameObject)) {
+      gameObject.visible = true;
+    }
+
+    removeAlphaFactor(gameObject, this);
+    this._fogged.delete(gameObject);
+  }
+
+  /**
+   * Show the game objects the fog hid and stop dimming the ones in fogged cells.
+   *
+   * @method FogOfWar#_restoreFogged
+   * @private
+   */
+  _restoreFogged() {
+    this._fogged.forEach((hidden, gameObject) => this._unfog(gameObject));
+  }
+
+  /**
+   * Draw a projected diamond over every cell that is not visible.
+   *
+   * @method FogOfWar#_draw
+   * @private
+   */
+  _draw() {
+    const overlay = this.overlay;
+    const size = this.cellSize;
+    const diamond = this._diamond;
+
+    overlay.clear();
+
+    for (let row = 0; row < this.height; row++) {
+      for (let column = 0; column < this.width; column++) {
+        const state = this.cells[row * this.width + column];
+
+        if (state === VISIBLE) {
+          continue;
+        }
+
+        const x = this.x + column * size;
+        const y = this.y + row * size;
+
+        diamond[0].setTo(x, y, this.z);
+        diamond[1].setTo(x + size, y, this.z);
+        diamond[2].setTo(x + size, y + size, this.z);
+        diamond[3].setTo(x, y + size, this.z);
+
+        overlay.fillStyle(this.color, state === EXPLORED ? this.exploredAlpha : this.unexploredAlpha);
+        overlay.fillPolygon3(diamond);
+      }
+    }
+  }
+
+  /**
+   * Call a function with the index of every cell whose center lies within a radius around a point.
+   *
+   * @method FogOfWar#_forEachCellInRadius
+   * @param {number} x - The x coordinate (in 3D space) of the point.
+   * @param {number} y - The y coordinate (in 3D space) of the point.
+   * @param {number} radius - The radius on the x/y plane.
+   * @param {function} callback - Called with the index of every cell.
+   * @private
+   */
+  _forEachCellInRadius(x, y, radius, callback) {
+    const size = this.cellSize;
+    const minColumn = Math.max(Math.floor((x - radius - this.x) / size), 0);
+    const maxColumn = Math.min(Math.floor((x + radius - this.x) / size), this.width - 1);
+    const minRow = Math.max(Math.floor((y - radius - this.y) / size), 0);
+    const maxRow = Math.min(Math.floor((y + radius - this.y) / size), this.height - 1);
+
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let column = minColumn; column <= maxColumn; column++) {
+        const dx = this.x + (column + 0.5) * size - x;
+        const dy = this.y + (row + 0.5) * size - y;
+
+        if (dx * dx + dy * dy <= radius * radius) {
+          callback(row * this.width + column);
+        }
+      }
+    }
+  }
+
+  /**
+   * Disable the fog without touching the overlay and the game objects, which are destroyed along with the scene. Called automatically when the scene shuts down.
+   *
+   * @method FogOfWar#_shutdown
+   * @private
+   */
+  _shutdown() {
+    this._fogged.clear();
+    this._sources.forEach((radius, sprite) => this.removeSource(sprite));
+    this.overlay = null;
+
+    if (this.enabled) {
+      this.enabled = false;
+      this.scene.sys.events.off('postupdate', this.update, this);
+
+      this.width = 0;
+      this.height = 0;
+      this.cells = new Uint8Array(0);
+      this._previous = new Uint8Array(0);
+    }
+  }
+
+  /**
+   * Draw the overlay again on the next update. This is done automatically when the view is rotated or the projection changes.
+   *
+   * @method FogOfWar#_invalidate
+   * @private
+   */
+  _invalidate() {
+    this._dirty = true;
+  }
+}
+
+export default FogOfWar;
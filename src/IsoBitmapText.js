@@ -0,0 +1,34 @@
+import IsoObject from './IsoObject';
+
+export const ISOBITMAPTEXT = 'IsoBitmapText';
+const BitmapText = Phaser.GameObjects.BitmapText;
+
+/**
+* @class IsoBitmapText
+*
+* @classdesc
+* Create a new `IsoBitmapText` object. IsoBitmapTexts are BitmapTexts positioned in 3D space, with the same isoX, isoY and isoZ, isoBounds and depth behaviour as IsoSprites.
+*/
+export default class IsoBitmapText extends IsoObject(BitmapText) {
+  /**
+   * @constructor
+   * @extends Phaser.GameObjects.BitmapText
+   * @param {Phaser.Scene} scene - A reference to the current scene.
+   * @param {number} x - The x coordinate (in 3D space) to position the IsoBitmapText at.
+   * @param {number} y - The y coordinate (in 3D space) to position the IsoBitmapText at.
+   * @param {number} z - The z coordinate (in 3D space) to position the IsoBitmapText at.
+   * @param {string} font - The key of the bitmap font to use.
+   * @param {string|string[]} [text] - The text to display.
+   * @param {number} [size] - The font size.
+   * @param {number} [align=0] - The alignment of multi-line text: 0 left, 1 center, 2 right.
+   */
+  constructor(scene, x, y, z, font, text, size, align) {
+    super(scene, x, y, z, font, text, size, align);
+
+    /**
+     * @property {number} type - The const type of this object.
+     * @readonly
+     */
+    this.type = ISOBITMAPTEXT;
+  }
+}
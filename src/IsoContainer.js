@@ -0,0 +1,328 @@
+import Point3 from './Point3';
+
+export const ISOCONTAINER = 'IsoContainer';
+const GameObject = Phaser.GameObjects.GameObject;
+
+/**
+* @class IsoContainer
+*
+* @classdesc
+* Create a new `IsoContainer` object. IsoContainers group IsoSprites (or other IsoContainers) into a composite object, such as a cart with a driver, by giving each child a position relative to the container.
+*
+* Unlike a Phaser Container, the IsoContainer does not render its children itself. They stay on the display list of the scene, so each child is still depth sorted against the rest of the world on its own.
+* Moving the container moves all of its children by setting their iso position.
+* Children with a physics body keep the position the physics moved them to, as the IsoContainer takes their relative position from it in preUpdate, so it has to be on the update list of the scene.
+*/
+export default class IsoContainer extends GameObject {
+  /**
+   * @constructor
+   * @extends Phaser.GameObjects.GameObject
+   * @param {Phaser.Scene} scene - A reference to the current scene.
+   * @param {number} [x=0] - The x coordinate (in 3D space) to position the IsoContainer at.
+   * @param {number} [y=0] - The y coordinate (in 3D space) to position the IsoContainer at.
+   * @param {number} [z=0] - The z coordinate (in 3D space) to position the IsoContainer at.
+   * @param {IsoSprite|IsoContainer|array} [children] - Children to add, positioned relative to the IsoContainer by their current iso position.
+   */
+  constructor(scene, x = 0, y = 0, z = 0, children) {
+    super(scene, ISOCONTAINER);
+
+    /**
+     * @property {Point3} _isoPosition - Internal 3D position.
+     * @private
+     */
+    this._isoPosition = new Point3(x, y, z);
+
+    /**
+     * @property {array} list - The children of the IsoContainer.
+     * @readonly
+     */
+    this.list = [];
+
+    /**
+     * @property {Map} _offsets - The positions of the children relative to the IsoContainer.
+     * @private
+     */
+    this._offsets = new Map();
+
+    /**
+     * @property {boolean} _visible - Internal visibility state.
+     * @private
+     */
+    this._visible = true;
+
+    /**
+     * @property {?IsoContainer} isoContainer - The IsoContainer this IsoContainer is a child of, or null.
+     * @readonly
+     */
+    this.isoContainer = null;
+
+    if (typeof children !== 'undefined') {
+      this.add(children);
+    }
+  }
+
+  /**
+   * The axonometric position of the IsoContainer on the x axis. Changing it moves all children along.
+   *
+   * @name IsoContainer#isoX
+   * @property {number} isoX - The axonometric position of the IsoContainer on the x axis.
+   */
+  get isoX() {
+    return this._isoPosition.x;
+  }
+
+  set isoX(value) {
+    this._isoPosition.x = value;
+    this._syncChildren();
+  }
+
+  /**
+   * The axonometric position of the IsoContainer on the y axis. Changing it moves all children along.
+   *
+   * @name IsoContainer#isoY
+   * @property {number} isoY - The axonometric position of the IsoContainer on the y axis.
+   */
+  get isoY() {
+    return this._isoPosition.y;
+  }
+
+  set isoY(value) {
+    this._isoPosition.y = value;
+    this._syncChildren();
+  }
+
+  /**
+   * The axonometric position of the IsoContainer on the z axis. Changing it moves all children along.
+   *
+   * @name IsoContainer#isoZ
+   * @property {number} isoZ - The axonometric position of the IsoContainer on the z axis.
+   */
+  get isoZ() {
+    return this._isoPosition.z;
+  }
+
+  set isoZ(value) {
+    this._isoPosition.z = value;
+    this._syncChildren();
+  }
+
+  /**
+   * A Point3 object representing the axonometric position of the IsoContainer. Use isoX, isoY, isoZ or setIsoPosition to move it.
+   *
+   * @name IsoContainer#isoPosition
+   * @property {Point3} isoPosition - The axonometric position of the IsoContainer.
+   * @readonly
+   */
+  get isoPosition() {
+    return this._isoPosition;
+  }
+
+  /**
+   * The visibility of the IsoContainer, which is applied to all of its children.
+   *
+   * @name IsoContainer#visible
+   * @property {boolean} visible - The visibility of the IsoContainer.
+   */
+  get visible() {
+    return this._visible;
+  }
+
+  set visible(value) {
+    this._visible = value;
+
+    this.list.forEach(child => {
+      child.visible = value;
+    });
+  }
+
+  /**
+   * Set the visibility of the IsoContainer and all of its children.
+   *
+   * @method IsoContainer#setVisible
+   * @param {boolean} value - The visibility.
+   * @return {IsoContainer} This IsoContainer object.
+   */
+  setVisible(value) {
+    this.visible = value;
+
+    return this;
+  }
+
+  /**
+   * Move the IsoContainer and all of its children at once.
+   *
+   * @method IsoContainer#setIsoPosition
+   * @param {number} x - The x coordinate (in 3D space).
+   * @param {number} [y=x] - The y coordinate (in 3D space).
+   * @param {number} [z=0] - The z coordinate (in 3D space).
+   * @return {IsoContainer} This IsoContainer object.
+   */
+  setIsoPosition(x, y = x, z = 0) {
+    this._isoPosition.setTo(x, y, z);
+    this._syncChildren();
+
+    return this;
+  }
+
+  /**
+   * Add one or more children. The current iso position of each child becomes its position relative to the IsoContainer, so it is moved by the position of the container.
+   * A child can only belong to one IsoContainer at a time and is removed from its previous one.
+   *
+   * @method IsoContainer#add
+   * @param {IsoSprite|IsoContainer|array} child - The child or children to add.
+   * @return {IsoContainer} This IsoContainer object.
+   */
+  add(child) {
+    if (Array.isArray(child)) {
+      child.forEach(item => this.add(item));
+
+      return this;
+    }
+
+    if (child.isoContainer === this) {
+      return this;
+    }
+
+    if (child.isoContainer) {
+      child.isoContainer.remove(child);
+    }
+
+    child.isoContainer = this;
+    child.once('destroy', this._onChildDestroy, this);
+
+    this.list.push(child);
+    this._offsets.set(child, new Point3(child.isoX, child.isoY, child.isoZ));
+    this._syncChild(child);
+
+    return this;
+  }
+
+  /**
+   * Remove a child. It stays at its current position in the world.
+   *
+   * @method IsoContainer#remove
+   * @param {IsoSprite|IsoContainer} child - The child to remove.
+   * @param {boolean} [destroyChild=false] - Whether to destroy the child as well.
+   * @return {IsoContainer} This IsoContainer object.
+   */
+  remove(child, destroyChild = false) {
+    const index = this.list.indexOf(child);
+
+    if (index === -1) {
+      return this;
+    }
+
+    this.list.splice(index, 1);
+    this._offsets.delete(child);
+
+    child.isoContainer = null;
+    child.off('destroy', this._onChildDestroy, this);
+
+    if (destroyChild) {
+      child.destroy();
+    }
+
+    return this;
+  }
+
+  /**
+   * Get the position of a child relative to the IsoContainer.
+   *
+   * @method IsoContainer#getLocalPosition
+   * @param {IsoSprite|IsoContainer} child - The child.
+   * @return {?Point3} A copy of the relative position, or null if it is not a child of this IsoContainer.
+   */
+  getLocalPosition(child) {
+    const offset = this._offsets.get(child);
+
+    return offset ? new Point3(offset.x, offset.y, offset.z) : null;
+  }
+
+  /**
+   * Set the position of a child relative to the IsoContainer and move it there.
+   *
+   * @method IsoContainer#setLocalPosition
+   * @param {IsoSprite|IsoContainer} child - The child.
+   * @param {number} x - The x coordinate relative to the IsoContainer.
+   * @param {number} [y=x] - The y coordinate relative to the IsoContainer.
+   * @param {number} [z=0] - The z coordinate relative to the IsoContainer.
+   * @return {IsoContainer} This IsoContainer object.
+   */
+  setLocalPosition(child, x, y = x, z = 0) {
+    const offset = this._offsets.get(child);
+
+    if (offset) {
+      offset.setTo(x, y, z);
+      this._syncChild(child);
+    }
+
+    return this;
+  }
+
+  /**
+   * Take the positions of the children with an enabled physics body relative to the IsoContainer from where the physics moved them in the last step,
+   * so moving the IsoContainer doesn't snap them back.
+   *
+   * @method IsoContainer#preUpdate
+   * @protected
+   */
+  preUpdate() {
+    const position = this._isoPosition;
+
+    this.list.forEach(child => {
+      if (child.body && child.body.enable) {
+        this._offsets.get(child).setTo(child.isoX - position.x, child.isoY - position.y, child.isoZ - position.z);
+      }
+    });
+  }
+
+  /**
+   * Move a child to the position of the IsoContainer plus its relative position.
+   *
+   * @method IsoContainer#_syncChild
+   * @param {IsoSprite|IsoContainer} child - The child to move.
+   * @private
+   */
+  _syncChild(child) {
+    const offset = this._offsets.get(child);
+
+    child.isoX = this._isoPosition.x + offset.x;
+    child.isoY = this._isoPosition.y + offset.y;
+    child.isoZ = this._isoPosition.z + offset.z;
+  }
+
+  /**
+   * Move all children along with the IsoContainer.
+   *
+   * @method IsoContainer#_syncChildren
+   * @private
+   */
+  _syncChildren() {
+    this.list.forEach(child => this._syncChild(child));
+  }
+
+  /**
+   * Forget a child that was destroyed.
+   *
+   * @method IsoContainer#_onChildDestroy
+   * @param {IsoSprite|IsoContainer} child - The destroyed child.
+   * @private
+   */
+  _onChildDestroy(child) {
+    this.remove(child);
+  }
+
+  /**
+   * Internal function called when the IsoContainer is destroyed. Destroys all children as well.
+   *
+   * @method IsoContainer#preDestroy
+   * @protected
+   */
+  preDestroy() {
+    this.list.slice().forEach(child => this.remove(child, true));
+
+    if (this.isoContainer) {
+      this.isoContainer.remove(this);
+    }
+  }
+}
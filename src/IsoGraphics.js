@@ -0,0 +1,183 @@
+import Point3 from './Point3';
+import convexHull from './ConvexHull';
+
+export const ISOGRAPHICS = 'IsoGraphics';
+const Graphics = Phaser.GameObjects.Graphics;
+const Point = Phaser.Geom.Point;
+
+//  The corners of a Cube as returned by Cube#getCorners are indexed by x * 4 + y * 2 + z, so every edge joins two indices differing in one bit
+const CUBE_EDGES = [[0, 1], [0, 2], [0, 4], [1, 3], [1, 5], [2, 3], [2, 6], [3, 7], [4, 5], [4, 6], [5, 7], [6, 7]];
+
+/**
+* @class IsoGraphics
+*
+* @classdesc
+* Create a new `IsoGraphics` object. IsoGraphics are Graphics with additional drawing commands that take coordinates in 3D space, which are projected through the Projector of the scene.
+* The usual Graphics styles apply, so call `lineStyle` or `fillStyle` first. Commands are projected when they are called, so clear and redraw the IsoGraphics after the view is rotated or the projection changes.
+*/
+export default class IsoGraphics extends Graphics {
+  /**
+   * @constructor
+   * @extends Phaser.GameObjects.Graphics
+   * @param {Phaser.Scene} scene - A reference to the current scene.
+   * @param {object} [options] - The Graphics options, such as the default line and fill styles.
+   */
+  constructor(scene, options) {
+    super(scene, options);
+
+    /**
+     * @property {number} type - The const type of this object.
+     * @readonly
+     */
+    this.type = ISOGRAPHICS;
+
+    /**
+     * @property {Projector} projector - The projector used to project the coordinates.
+     */
+    this.projector = scene[scene.sys.settings.map.isoPlugin].projector;
+
+    /**
+     * @property {Point3} _point - Internal cache var.
+     * @private
+     */
+    this._point = new Point3();
+  }
+
+  /**
+   * Project 3D points to the screen.
+   *
+   * @method IsoGraphics#_projectPoints
+   * @param {Array.<Point3>} points - The points to project.
+   * @return {Array.<Phaser.Geom.Point>} The projected points.
+   * @private
+   */
+  _projectPoints(points) {
+    return points.map(point => this.projector.project(point, new Point()));
+  }
+
+  /**
+   * Get the points of a circle around a point on the XY plane.
+   *
+   * @method IsoGraphics#_circlePoints
+   * @param {Point3} center - The center of the circle. Its z coordinate is the height of the circle.
+   * @param {number} radius - The radius of the circle.
+   * @param {number} segments - The number of straight segments to draw the circle with.
+   * @return {Array.<Phaser.Geom.Point>} The projected points of the circle.
+   * @private
+   */
+  _circlePoints(center, radius, segments) {
+    const points = [];
+
+    for (let i = 0; i < segments; i++) {
+      const angle = (i / segments) * Math.PI * 2;
+
+      this._point.setTo(center.x + Math.cos(angle) * radius, center.y + Math.sin(angle) * radius, center.z);
+      points.push(this.projector.project(this._point, new Point()));
+    }
+
+    return points;
+  }
+
+  /**
+   * Draw a line between two points in 3D space with the current line style.
+   *
+   * @method IsoGraphics#lineBetween3
+   * @param {Point3} a - The start of the line.
+   * @param {Point3} b - The end of the line.
+   * @return {IsoGraphics} This IsoGraphics object.
+   */
+  lineBetween3(a, b) {
+    const start = this.projector.project(a, new Point());
+    const end = this.projector.project(b, new Point());
+
+    return this.lineBetween(start.x, start.y, end.x, end.y);
+  }
+
+  /**
+   * Stroke a path through points in 3D space with the current line style.
+   *
+   * @method IsoGraphics#strokePoints3
+   * @param {Array.<Point3>} points - The points of the path.
+   * @param {boolean} [closeShape=false] - Whether to connect the last point back to the first one.
+   * @return {IsoGraphics} This IsoGraphics object.
+   */
+  strokePoints3(points, closeShape = false) {
+    return this.strokePoints(this._projectPoints(points), closeShape);
+  }
+
+  /**
+   * Stroke the outline of a polygon in 3D space, for example a selection diamond on the XY plane, with the current line style.
+   *
+   * @method IsoGraphics#strokePolygon3
+   * @param {Array.<Point3>} points - The corners of the polygon.
+   * @return {IsoGraphics} This IsoGraphics object.
+   */
+  strokePolygon3(points) {
+    return this.strokePoints(this._projectPoints(points), true);
+  }
+
+  /**
+   * Fill a polygon in 3D space, for example an area on the XY plane, with the current fill style.
+   *
+   * @method IsoGraphics#fillPolygon3
+   * @param {Array.<Point3>} points - The corners of the polygon.
+   * @return {IsoGraphics} This IsoGraphics object.
+   */
+  fillPolygon3(points) {
+    return this.fillPoints(this._projectPoints(points), true);
+  }
+
+  /**
+   * Stroke all twelve edges of a Cube with the current line style.
+   *
+   * @method IsoGraphics#strokeCube
+   * @param {Cube} cube - The Cube to draw.
+   * @return {IsoGraphics} This IsoGraphics object.
+   */
+  strokeCube(cube) {
+    const corners = this._projectPoints(cube.getCorners());
+
+    CUBE_EDGES.forEach(([a, b]) => {
+      this.lineBetween(corners[a].x, corners[a].y, corners[b].x, corners[b].y);
+    });
+
+    return this;
+  }
+
+  /**
+   * Fill the silhouette a Cube has on the screen with the current fill style.
+   *
+   * @method IsoGraphics#fillCube
+   * @param {Cube} cube - The Cube to draw.
+   * @return {IsoGraphics} This IsoGraphics object.
+   */
+  fillCube(cube) {
+    return this.fillPoints(convexHull(this._projectPoints(cube.getCorners())), true);
+  }
+
+  /**
+   * Stroke a circle on the XY plane with the current line style, for example to show a range.
+   *
+   * @method IsoGraphics#strokeCircleXY
+   * @param {Point3} center - The center of the circle. Its z coordinate is the height of the circle.
+   * @param {number} radius - The radius of the circle.
+   * @param {number} [segments=32] - The number of straight segments to draw the circle with.
+   * @return {IsoGraphics} This IsoGraphics object.
+   */
+  strokeCircleXY(center, radius, segments = 32) {
+    return this.strokePoints(this._circlePoints(center, radius, segments), true);
+  }
+
+  /**
+   * Fill a circle on the XY plane with the current fill style.
+   *
+   * @method IsoGraphics#fillCircleXY
+   * @param {Point3} center - The center of the circle. Its z coordinate is the height of the circle.
+   * @param {number} radius - The radius of the circle.
+   * @param {number} [segments=32] - The number of straight segments to draw the circle with.
+   * @return {IsoGraphics} This IsoGraphics object.
+   */
+  fillCircleXY(center, radius, segments = 32) {
+    return this.fillPoints(this._circlePoints(center, radius, segments), true);
+  }
+}
@@ -0,0 +1,204 @@
+import Point3 from './Point3';
+
+const Point = Phaser.Geom.Point;
+
+//  Layouts
+export const DIAMOND = 'diamond';
+export const STAGGERED = 'staggered';
+
+//  The rows shifted to the right in staggered layouts
+export const ODD = 'odd';
+export const EVEN = 'even';
+
+//  The offsets of the neighbours of a cell along the x and y axes, the ones sharing an edge first
+const EDGE_NEIGHBOURS = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+const CORNER_NEIGHBOURS = [[1, 1], [-1, 1], [-1, -1], [1, -1]];
+
+/**
+ * @class IsoGrid
+ *
+ * @classdesc
+ * Converts between tile coordinates and the x/y plane of 3D space for grids of rectangular cells, and finds the neighbours of and distances between tiles.
+ * In a diamond layout the columns run along the x axis and the rows along the y axis, so the map is a diamond on the screen.
+ * In a staggered layout the rows zigzag across the screen, with every other row shifted by half a tile, so the map fills a rectangle on the screen.
+ * Create IsoGrids with `scene.iso.createGrid(config)`.
+ */
+class IsoGrid {
+  /**
+   * @constructor
+   * @param {object} [config] - The configuration of the grid.
+   * @param {string} [config.layout=DIAMOND] - The layout of the tile coordinates, either DIAMOND or STAGGERED.
+   * @param {string} [config.stagger=ODD] - Which rows are shifted to the right in a staggered layout, either ODD or EVEN.
+   * @param {number} [config.cellSizeX=38] - The size of a cell along the x axis (in 3D space), not the width of the tile image on the screen.
+   * @param {number} [config.cellSizeY=cellSizeX] - The size of a cell along the y axis (in 3D space), not the height of the tile image on the screen.
+   * @param {number} [config.x=0] - The x coordinate (in 3D space) of the back corner of the tile at 0, 0.
+   * @param {number} [config.y=0] - The y coordinate (in 3D space) of the back corner of the tile at 0, 0.
+   * @param {boolean} [config.diagonals=true] - Whether tiles touching only at a corner are neighbours, and diagonal steps count as one step in distances.
+   */
+  constructor({ layout = DIAMOND, stagger = ODD, cellSizeX = 38, cellSizeY = cellSizeX, x = 0, y = 0, diagonals = true } = {}) {
+    /**
+     * @property {string} layout - The layout of the tile coordinates, either DIAMOND or STAGGERED.
+     */
+    this.layout = layout;
+
+    /**
+     * @property {string} stagger - Which rows are shifted to the right in a staggered layout, either ODD or EVEN.
+     */
+    this.stagger = stagger;
+
+    /**
+     * @property {number} cellSizeX - The size of a cell along the x axis (in 3D space).
+     */
+    this.cellSizeX = cellSizeX;
+
+    /**
+     * @property {number} cellSizeY - The size of a cell along the y axis (in 3D space).
+     */
+    this.cellSizeY = cellSizeY;
+
+    /**
+     * @property {number} x - The x coordinate (in 3D space) of the back corner of the tile at 0, 0.
+     */
+    this.x = x;
+
+    /**
+     * @property {number} y - The y coordinate (in 3D space) of the back corner of the tile at 0, 0.
+     */
+    this.y = y;
+
+    /**
+     * @property {boolean} diagonals - Whether tiles touching only at a corner are neighbours, and diagonal steps count as one step in distances.
+     */
+    this.diagonals = diagonals;
+
+    /**
+     * @property {Phaser.Geom.Point} _cell - Internal cache var holding a cell along the axes.
+     * @private
+     */
+    this._cell = new Point();
+
+    /**
+     * @property {Phaser.Geom.Point} _otherCell - Internal cache var holding a second cell along the axes.
+     * @private
+     */
+    this._otherCell = new Point();
+  }
+
+  /**
+   * Get the back corner of a tile on the x/y plane. Add half the cell sizes to get its center.
+   *
+   * @method IsoGrid#tileToIso
+   * @param {number} column - The column of the tile.
+   * @param {number} row - The row of the tile.
+   * @param {Point3} [out] - The Point3 to set the coordinates into.
+   * @return {Point3} The back corner of the tile, with a z coordinate of 0.
+   */
+  tileToIso(column, row, out = new Point3()) {
+    const cell = this._toCell(column, row, this._cell);
+
+    return out.setTo(this.x + cell.x * this.cellSizeX, this.y + cell.y * this.cellSizeY, 0);
+  }
+
+  /**
+   * Get the tile containing a point on the x/y plane.
+   *
+   * @method IsoGrid#isoToTile
+   * @param {number} x - The x coordinate (in 3D space) of the point.
+   * @param {number} y - The y coordinate (in 3D space) of the point.
+   * @param {Phaser.Geom.Point} [out] - The Point to set the column and row into.
+   * @return {Phaser.Geom.Point} The column and row of the tile.
+   */
+  isoToTile(x, y, out = new Point()) {
+    return this._fromCell(Math.floor((x - this.x) / this.cellSizeX), Math.floor((y - this.y) / this.cellSizeY), out);
+  }
+
+  /**
+   * Get the tiles next to a tile, starting with the ones sharing an edge with it.
+   *
+   * @method IsoGrid#getNeighbours
+   * @param {number} column - The column of the tile.
+   * @param {number} row - The row of the tile.
+   * @param {boolean} [diagonals=this.diagonals] - Whether to include the tiles touching only at a corner.
+   * @return {Array.<Phaser.Geom.Point>} The columns and rows of the neighbours, four or eight depending on `diagonals`.
+   */
+  getNeighbours(column, row, diagonals = this.diagonals) {
+    const cell = this._toCell(column, row, this._cell);
+    const offsets = diagonals ? EDGE_NEIGHBOURS.concat(CORNER_NEIGHBOURS) : EDGE_NEIGHBOURS;
+
+    return offsets.map(([dx, dy]) => this._fromCell(cell.x + dx, cell.y + dy, new Point()));
+  }
+
+  /**
+   * Get the number of steps between two tiles, moving from tile to tile along edges, or across corners as well if `diagonals` is set.
+   *
+   * @method IsoGrid#distance
+   * @param {number} column1 - The column of the first tile.
+   * @param {number} row1 - The row of the first tile.
+   * @param {number} column2 - The column of the second tile.
+   * @param {number} row2 - The row of the second tile.
+   * @return {number} The number of steps.
+   */
+  distance(column1, row1, column2, row2) {
+    const a = this._toCell(column1, row1, this._cell);
+    const b = this._toCell(column2, row2, this._otherCell);
+    const dx = Math.abs(a.x - b.x);
+    const dy = Math.abs(a.y - b.y);
+
+    return this.diagonals ? Math.max(dx, dy) : dx + dy;
+  }
+
+  /**
+   * Convert tile coordinates to the index of the cell along the x and y axes.
+   *
+   * @method IsoGrid#_toCell
+   * @param {number} column - The column of the tile.
+   * @param {number} row - The row of the tile.
+   * @param {Phaser.Geom.Point} out - The Point to set the cell into.
+   * @return {Phaser.Geom.Point} The cell.
+   * @private
+   */
+  _toCell(column, row, out) {
+    if (this.layout === DIAMOND) {
+      return out.setTo(column, row);
+    }
+
+    //  Going down a row on the screen steps along x and y alternately, the shifted rows take the step along x first
+    const alongX = this._stepsAlongX(row);
+
+    return out.setTo(alongX + column, row - alongX - column);
+  }
+
+  /**
+   * Convert the index of a cell along the x and y axes to tile coordinates.
+   *
+   * @method IsoGrid#_fromCell
+   * @param {number} x - The index of the cell along the x axis.
+   * @param {number} y - The index of the cell along the y axis.
+   * @param {Phaser.Geom.Point} out - The Point to set the column and row into.
+   * @return {Phaser.Geom.Point} The column and row.
+   * @private
+   */
+  _fromCell(x, y, out) {
+    if (this.layout === DIAMOND) {
+      return out.setTo(x, y);
+    }
+
+    const row = x + y;
+
+    return out.setTo(x - this._stepsAlongX(row), row);
+  }
+
+  /**
+   * Get how many of the steps from the first row down to a row of a staggered layout go along the x axis.
+   *
+   * @method IsoGrid#_stepsAlongX
+   * @param {number} row - The row.
+   * @return {number} The number of steps along the x axis.
+   * @private
+   */
+  _stepsAlongX(row) {
+    return this.stagger === ODD ? Math.ceil(row / 2) : Math.floor(row / 2);
+  }
+}
+
+export default IsoGrid;
@@ -0,0 +1,334 @@
+import Point3 from './Point3';
+
+const Point = Phaser.Geom.Point;
+const Rectangle = Phaser.Geom.Rectangle;
+
+/**
+ * @class IsoGround
+ *
+ * @classdesc
+ * Draws large static floors made of flat tiles without an IsoSprite for every tile. The tiles are grouped into square chunks, each drawn by a Blitter,
+ * so nothing runs for a tile on every frame. Chunks outside the view of the camera are hidden, and the chunks are projected again only when the view is rotated or the projection changes.
+ * The tiles and chunks are drawn from the back to the front of the current view, so tiles taller than their cell overlap the ones behind them at any rotation.
+ * As the floor lies below everything standing on it, the chunks get consecutive depths below the iso game objects, so they keep being depth sorted against each other as usual.
+ * Create IsoGrounds with `scene.iso.addGround(tiles, config)`.
+ */
+class IsoGround {
+  /**
+   * @constructor
+   * @param {Phaser.Scene} scene - A reference to the current scene.
+   * @param {Array.<Array.<?(string|number)>>} tiles - The frame of every tile, as an array of rows along the y axis, each holding the tiles along the x axis. Null leaves a cell empty.
+   * @param {object} config - The configuration of the IsoGround.
+   * @param {string} config.key - The key of the texture with the tiles.
+   * @param {number} [config.cellSize=38] - The size of a cell on the x and y axes.
+   * @param {number} [config.chunkSize=16] - The number of cells along each side of a chunk.
+   * @param {number} [config.x=0] - The x coordinate (in 3D space) of the back corner of the tile at 0, 0.
+   * @param {number} [config.y=0] - The y coordinate (in 3D space) of the back corner of the tile at 0, 0.
+   * @param {number} [config.z=0] - The height of the floor.
+   * @param {number} [config.depth=-Number.MAX_SAFE_INTEGER] - The depth of the rear-most chunk, each following chunk getting a depth one higher, which has to stay below the depth of the iso game objects at any position and rotation of the view.
+   * @param {Phaser.Cameras.Scene2D.Camera} [config.camera] - The camera to cull the chunks against. Defaults to the main camera of the scene.
+   * @param {number} [config.cullPadding=64] - The margin around the view of the camera in which chunks are kept visible, so they are shown before the camera scrolled to them.
+   */
+  constructor(scene, tiles, { key, cellSize = 38, chunkSize = 16, x = 0, y = 0, z = 0, depth = -Number.MAX_SAFE_INTEGER, camera = scene.cameras.main, cullPadding = 64 }) {
+    /**
+     * @property {Phaser.Scene} scene - A reference to the current scene.
+     */
+    this.scene = scene;
+
+    /**
+     * @property {Projector} projector - The projector used to place the tiles.
+     */
+    this.projector = scene[scene.sys.settings.map.isoPlugin].projector;
+
+    /**
+     * @property {string} key - The key of the texture with the tiles.
+     * @readonly
+     */
+    this.key = key;
+
+    /**
+     * @property {Array.<Array.<?(string|number)>>} tiles - A copy of the frame of every tile. Use setTile to change it.
+     * @readonly
+     */
+    this.tiles = tiles.map(row => row.slice());
+
+    /**
+     * @property {number} cellSize - The size of a cell on the x and y axes.
+     * @readonly
+     */
+    this.cellSize = cellSize;
+
+    /**
+     * @property {number} chunkSize - The number of cells along each side of a chunk.
+     * @readonly
+     */
+    this.chunkSize = chunkSize;
+
+    /**
+     * @property {Point3} origin - The back corner of the tile at 0, 0.
+     * @readonly
+     */
+    this.origin = new Point3(x, y, z);
+
+    /**
+     * @property {number} depth - The depth of the rear-most chunk.
+     * @readonly
+     */
+    this.depth = depth;
+
+    /**
+     * @property {Phaser.Cameras.Scene2D.Camera} camera - The camera the chunks are culled against.
+     */
+    this.camera = camera;
+
+    /**
+     * @property {number} cullPadding - The margin around the view of the camera in which chunks are kept visible.
+     */
+    this.cullPadding = cullPadding;
+
+    /**
+     * @property {number} columns - The number of chunks along the x axis.
+     * @readonly
+     */
+    this.columns = Math.ceil((tiles.length > 0 ? tiles[0].length : 0) / chunkSize);
+
+    /**
+     * @property {number} rows - The number of chunks along the y axis.
+     * @readonly
+     */
+    this.rows = Math.ceil(tiles.length / chunkSize);
+
+    /**
+     * @property {Array.<object>} chunks - The Blitter and screen bounds of every chunk, row by row.
+     * @readonly
+     */
+    this.chunks = [];
+
+    /**
+     * @property {Rectangle} _view - Internal cache var holding the padded view of the camera.
+     * @private
+     */
+    this._view = new Rectangle();
+
+    /**
+     * @property {Point3} _corner - Internal cache var holding a corner of a cell.
+     * @private
+     */
+    this._corner = new Point3();
+
+    /**
+     * @property {Phaser.Geom.Point} _projected - Internal cache var.
+     * @private
+     */
+    this._projected = new Point();
+
+    /**
+     * @property {boolean} _forwardX - Whether the depth grows along the x axis in the current view, so the columns are drawn in ascending order.
+     * @private
+     */
+    this._forwardX = true;
+
+    /**
+     * @property {boolean} _forwardY - Whether the depth grows along the y axis in the current view, so the rows are drawn in ascending order.
+     * @private
+     */
+    this._forwardY = true;
+
+    for (let i = 0; i < this.columns * this.rows; i++) {
+      this.chunks.push({ blitter: scene.add.blitter(0, 0, key), bounds: new Rectangle() });
+    }
+
+    this.refresh();
+
+    this.projector.on('rotate', this.refresh, this);
+    this.projector.on('projectionchange', this.refresh, this);
+    scene.sys.events.on('postupdate', this.cull, this);
+    scene.sys.events.once('shutdown', this.destroy, this);
+  }
+
+  /**
+   * Change the frame of a tile, rebuilding its chunk if the frame changed.
+   *
+   * @method IsoGround#setTile
+   * @param {number} column - The column of the tile, along the x axis.
+   * @param {number} row - The row of the tile, along the y axis.
+   * @param {?(string|number)} frame - The new frame, or null to leave the cell empty.
+   * @return {IsoGround} This IsoGround object.
+   */
+  setTile(column, row, frame) {
+    return this.setTiles([{ column, row, frame }]);
+  }
+
+  /**
+   * Change the frames of many tiles at once, rebuilding every chunk with a changed tile only once.
+   *
+   * @method IsoGround#setTiles
+   * @param {Array.<object>} tiles - The `column`, `row` and new `frame` of every tile, with a null frame to leave the cell empty.
+   * @return {IsoGround} This IsoGround object.
+   */
+  setTiles(tiles) {
+    const dirty = new Set();
+
+    tiles.forEach(({ column, row, frame }) => {
+      if (row < 0 || row >= this.tiles.length || column < 0 || column >= this.tiles[row].length || this.tiles[row][column] === frame) {
+        return;
+      }
+
+      this.tiles[row][column] = frame;
+      dirty.add(Math.floor(row / this.chunkSize) * this.columns + Math.floor(column / this.chunkSize));
+    });
+
+    dirty.forEach(index => this._buildChunk(index));
+
+    return this;
+  }
+
+  /**
+   * Project all chunks again and put them in the back to front order of the current view. This is done automatically when the view is rotated or the projection changes.
+   *
+   * @method IsoGround#refresh
+   * @return {IsoGround} This IsoGround object.
+   */
+  refresh() {
+    const { origin, cellSize, projector } = this;
+    const depth = projector.getDepth(this._corner.setTo(origin.x, origin.y, origin.z));
+
+    this._forwardX = projector.getDepth(this._corner.setTo(origin.x + cellSize, origin.y, origin.z)) >= depth;
+    this._forwardY = projector.getDepth(this._corner.setTo(origin.x, origin.y + cellSize, origin.z)) >= depth;
+
+    for (let i = 0; i < this.chunks.length; i++) {
+      const column = i % this.columns;
+      const row = Math.floor(i / this.columns);
+      const columnRank = this._forwardX ? column : this.columns - 1 - column;
+      const rowRank = this._forwardY ? row : this.rows - 1 - row;
+
+      this.chunks[i].blitter.setDepth(this.depth + rowRank * this.columns + columnRank);
+      this._buildChunk(i);
+    }
+
+    return this;
+  }
+
+  /**
+   * Hide the chunks outside the view of the camera and show the ones inside it. Called automatically after every update.
+   *
+   * @method IsoGround#cull
+   */
+  cull() {
+    const { worldView } = this.camera;
+    const view = this._view.setTo(
+      worldView.x - this.cullPadding,
+      worldView.y - this.cullPadding,
+      worldView.width + this.cullPadding * 2,
+      worldView.height + this.cullPadding * 2
+    );
+
+    for (let i = 0; i < this.chunks.length; i++) {
+      const { blitter, bounds } = this.chunks[i];
+
+      blitter.visible = bounds.width > 0 && Rectangle.Overlaps(view, bounds);
+    }
+  }
+
+  /**
+   * Remove all chunks from the scene. Called automatically when the scene shuts down.
+   *
+   * @method IsoGround#destroy
+   */
+  destroy() {
+    this.projector.off('rotate', this.refresh, this);
+    this.projector.off('projectionchange', this.refresh, this);
+    this.scene.sys.events.off('postupdate', this.cull, this);
+    this.scene.sys.events.off('shutdown', this.destroy, this);
+
+    this.chunks.forEach(chunk => chunk.blitter.destroy());
+    this.chunks.length = 0;
+  }
+
+  /**
+   * Create the Bobs of the tiles of a chunk from scratch, from the back to the front of the current view, and measure the area it covers on the screen.
+   *
+   * @method IsoGround#_buildChunk
+   * @param {number} index - The index of the chunk.
+   * @private
+   */
+  _buildChunk(index) {
+    const { blitter, bounds } = this.chunks[index];
+    const firstColumn = (index % this.columns) * this.chunkSize;
+    const firstRow = Math.floor(index / this.columns) * this.chunkSize;
+    const texture = this.scene.textures.get(this.key);
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+
+    blitter.clear();
+
+    const rowCount = Math.min(this.chunkSize, this.tiles.length - firstRow);
+
+    for (let i = 0; i < rowCount; i++) {
+      const row = this._forwardY ? firstRow + i : firstRow + rowCount - 1 - i;
+      const columnCount = Math.min(this.chunkSize, this.tiles[row].length - firstColumn);
+
+      for (let j = 0; j < columnCount; j++) {
+        const column = this._forwardX ? firstColumn + j : firstColumn + columnCount - 1 - j;
+        const frameName = this.tiles[row][column];
+
+        if (frameName === null || typeof frameName === 'undefined') {
+          continue;
+        }
+
+        const frame = texture.get(frameName);
+        const bottom = this._getBottomCorner(column, row);
+
+        //  The image stands on the lowest corner of the cell on the screen, like the tiles of Tiled
+        const left = bottom.x - frame.width * 0.5;
+        const top = bottom.y - frame.height;
+
+        blitter.create(left, top, frame);
+
+        minX = Math.min(minX, left);
+        minY = Math.min(minY, top);
+        maxX = Math.max(maxX, left + frame.width);
+        maxY = Math.max(maxY, bottom.y);
+      }
+    }
+
+    if (minX === Infinity) {
+      bounds.setTo(0, 0, 0, 0);
+    } else {
+      bounds.setTo(minX, minY, maxX - minX, maxY - minY);
+    }
+  }
+
+  /**
+   * Get the corner of a cell that is projected lowest on the screen, which depends on the rotation of the view.
+   *
+   * @method IsoGround#_getBottomCorner
+   * @param {number} column - The column of the cell, along the x axis.
+   * @param {number} row - The row of the cell, along the y axis.
+   * @return {Phaser.Geom.Point} The projected corner.
+   * @private
+   */
+  _getBottomCorner(column, row) {
+    const { origin, cellSize } = this;
+    const bottom = this._projected;
+    let bottomY = -Infinity;
+    let bottomX = 0;
+
+    for (let i = 0; i < 4; i++) {
+      this._corner.setTo(origin.x + (column + (i & 1)) * cellSize, origin.y + (row + (i >> 1)) * cellSize, origin.z);
+
+      const { x, y } = this.projector.project(this._corner, bottom);
+
+      if (y > bottomY) {
+        bottomX = x;
+        bottomY = y;
+      }
+    }
+
+    return bottom.setTo(bottomX, bottomY);
+  }
+}
+
+export default IsoGround;
@@ -0,0 +1,33 @@
+import IsoObject from './IsoObject';
+
+export const ISOIMAGE = 'IsoImage';
+const Image = Phaser.GameObjects.Image;
+
+/**
+* @class IsoImage
+*
+* @classdesc
+* Create a new `IsoImage` object. IsoImages are Images positioned in 3D space, with the same isoX, isoY and isoZ, isoBounds and depth behaviour as IsoSprites,
+* but without the animation component of a Sprite.
+*/
+export default class IsoImage extends IsoObject(Image) {
+  /**
+   * @constructor
+   * @extends Phaser.GameObjects.Image
+   * @param {Phaser.Scene} scene - A reference to the current scene.
+   * @param {number} x - The x coordinate (in 3D space) to position the IsoImage at.
+   * @param {number} y - The y coordinate (in 3D space) to position the IsoImage at.
+   * @param {number} z - The z coordinate (in 3D space) to position the IsoImage at.
+   * @param {string} texture - The key of the texture used by the IsoImage during rendering.
+   * @param {string|number} [frame] - The frame of the texture to use.
+   */
+  constructor(scene, x, y, z, texture, frame) {
+    super(scene, x, y, z, texture, frame);
+
+    /**
+     * @property {number} type - The const type of this object.
+     * @readonly
+     */
+    this.type = ISOIMAGE;
+  }
+}
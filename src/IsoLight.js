@@ -0,0 +1,73 @@
+import Point3 from './Point3';
+
+/**
+ * @class IsoLight
+ *
+ * @classdesc
+ * A point light in 3D space. Unlike Phaser's Light2D it takes the height into account, so a torch on a wall lights the floor below it, and not the floor of the screen area it is drawn over.
+ * Its intensity falls off with the distance from its position and reaches zero at its radius.
+ * Create IsoLights with `scene.iso.lighting.addLight(x, y, z, config)`.
+ */
+class IsoLight {
+  /**
+   * @constructor
+   * @param {number} x - The x coordinate (in 3D space) of the light.
+   * @param {number} y - The y coordinate (in 3D space) of the light.
+   * @param {number} z - The z coordinate (in 3D space) of the light.
+   * @param {object} [config] - The configuration of the light.
+   * @param {number} [config.color=0xffffff] - The color of the light.
+   * @param {number} [config.radius=200] - The distance at which the light has no effect anymore.
+   * @param {number} [config.intensity=1] - The intensity of the light at its position.
+   * @param {number} [config.falloff=1] - The exponent of the falloff, 1 is linear and higher values fade out faster near the light.
+   */
+  constructor(x, y, z, { color = 0xffffff, radius = 200, intensity = 1, falloff = 1 } = {}) {
+    /**
+     * @property {Point3} position - The position of the light in 3D space.
+     */
+    this.position = new Point3(x, y, z);
+
+    /**
+     * @property {number} color - The color of the light.
+     */
+    this.color = color;
+
+    /**
+     * @property {number} radius - The distance at which the light has no effect anymore.
+     */
+    this.radius = radius;
+
+    /**
+     * @property {number} intensity - The intensity of the light at its position.
+     */
+    this.intensity = intensity;
+
+    /**
+     * @property {number} falloff - The exponent of the falloff, 1 is linear and higher values fade out faster near the light.
+     */
+    this.falloff = falloff;
+
+    /**
+     * @property {boolean} visible - Whether the light is switched on.
+     */
+    this.visible = true;
+  }
+
+  /**
+   * Get the intensity of the light at a point in 3D space.
+   *
+   * @method IsoLight#getIntensityAt
+   * @param {Point3} point - The point to light.
+   * @return {number} The intensity, 0 outside the radius.
+   */
+  getIntensityAt(point) {
+    const distance = Point3.distanceBetween(this.position, point);
+
+    if (!this.visible || distance >= this.radius) {
+      return 0;
+    }
+
+    return this.intensity * Math.pow(1 - distance / this.radius, this.falloff);
+  }
+}
+
+export default IsoLight;
@@ -0,0 +1,573 @@
+import Point3 from './Point3';
+import Cube from './Cube';
+import Shadow from './Shadow';
+import PathFollower3 from './PathFollower3';
+import convexHull from './ConvexHull';
+
+const Point = Phaser.Geom.Point;
+const Polygon = Phaser.Geom.Polygon;
+
+//  Hit area shapes
+export const TOP_FACE = 'top';
+export const SILHOUETTE = 'silhouette';
+
+//  The indices of the corners of Cube#getCorners on the top face, in order around it
+const TOP_CORNERS = [1, 3, 7, 5];
+const SILHOUETTE_CORNERS = [0, 1, 2, 3, 4, 5, 6, 7];
+
+/**
+ * Extend a Phaser game object class with a position in 3D space, derived 3D bounds and depth, so it can be placed in the isometric world like an IsoSprite.
+ * The game object is projected to the screen whenever its isoX, isoY or isoZ change, which happens in preUpdate, so it has to be on the update list of the scene.
+ *
+ * @function IsoObject
+ * @param {function} Base - The game object class to extend, e.g. Phaser.GameObjects.Image.
+ * @return {function} The extended class. Its constructor takes the scene and the x, y and z coordinates (in 3D space), followed by the remaining arguments of the Base constructor.
+ */
+export default function IsoObject(Base) {
+  return class extends Base {
+    /**
+     * @constructor
+     * @param {Phaser.Scene} scene - A reference to the current scene.
+     * @param {number} x - The x coordinate (in 3D space) to position the game object at.
+     * @param {number} y - The y coordinate (in 3D space) to position the game object at.
+     * @param {number} z - The z coordinate (in 3D space) to position the game object at.
+     * @param {...*} args - The remaining arguments of the Base constructor.
+     */
+    constructor(scene, x, y, z, ...args) {
+      super(scene, x, y, ...args);
+
+      /**
+       * @property {Point3} _isoPosition - Internal 3D position.
+       * @private
+       */
+      this._isoPosition = new Point3(x, y, z);
+
+      /**
+       * @property {number} snap - Snap this game object's position to the specified value; handy for keeping pixel art snapped to whole pixels.
+       * @default
+       */
+      this.snap = 0;
+
+      /**
+       * @property {boolean} _isoPositionChanged - Internal invalidation control for positioning.
+       * @readonly
+       * @private
+       */
+      this._isoPositionChanged = true;
+
+      /**
+       * @property {boolean} _isoBoundsChanged - Internal invalidation control for isometric bounds.
+       * @readonly
+       * @private
+       */
+      this._isoBoundsChanged = true;
+
+      /**
+       * @property {?Point3} _isoSize - Explicit 3D size overriding the one derived from the texture, or null.
+       * @private
+       */
+      this._isoSize = null;
+
+      /**
+       * @property {?Point3} _isoAnchor - Explicit anchor of the 3D bounds overriding the one derived from the origin, or null.
+       * @private
+       */
+      this._isoAnchor = null;
+
+      /**
+       * @property {?Shadow} shadow - The shadow cast by the game object, or null. Use enableShadow and disableShadow to change it.
+       * @readonly
+       */
+      this.shadow = null;
+
+      /**
+       * @property {?IsoContainer} isoContainer - The IsoContainer this game object is a child of, or null.
+       * @readonly
+       */
+      this.isoContainer = null;
+
+      /**
+       * @property {?PathFollower3} pathFollower - Moves the game object along a Path3, created on the first call to startFollow.
+       * @readonly
+       */
+      this.pathFollower = null;
+
+      /**
+       * @property {?string} _isoHitShape - The shape of the hit area set with setIsoInteractive, either TOP_FACE or SILHOUETTE, or null.
+       * @private
+       */
+      this._isoHitShape = null;
+
+      /**
+       * @property {object} _isoHitCache - Internal cache of everything the hit area was last built from, so it is only rebuilt when one of them changes.
+       * @private
+       */
+      this._isoHitCache = {
+        shape: null,
+        projection: null,
+        rotation: 0,
+        bounds: new Cube(),
+        x: 0,
+        y: 0,
+        scaleX: 0,
+        scaleY: 0,
+        originX: 0,
+        originY: 0
+      };
+
+      /**
+       * @property {Array.<Phaser.Geom.Point>} _isoHitCorners - Internal cache var holding the projected corners of the hit area.
+       * @private
+       */
+      this._isoHitCorners = [];
+
+      this._project();
+
+      /**
+       * @property {Cube} _isoBounds - Internal derived 3D bounds.
+       * @private
+       */
+      this._isoBounds = this.resetIsoBounds();
+    }
+
+    /**
+     * Marks game objects that are positioned in 3D space, which the depth sorter, picking and physics look for.
+     *
+     * @name IsoObject#isIsoObject
+     * @property {boolean} isIsoObject - Always true.
+     * @readonly
+     */
+    get isIsoObject() {
+      return true;
+    }
+
+    /**
+     * The axonometric position of the game object on the x axis. Increasing the x coordinate will move the object down and to the right on the screen.
+     *
+     * @name IsoObject#isoX
+     * @property {number} isoX - The axonometric position of the game object on the x axis.
+     */
+    get isoX() {
+      return this._isoPosition.x;
+    }
+
+    set isoX(value) {
+      this._isoPosition.x = value;
+      this._isoPositionChanged = this._isoBoundsChanged = true;
+      if (this.body){
+        this.body._reset = true;
+      }
+    }
+
+    /**
+     * The axonometric position of the game object on the y axis. Increasing the y coordinate will move the object down and to the left on the screen.
+     *
+     * @name IsoObject#isoY
+     * @property {number} isoY - The axonometric position of the game object on the y axis.
+     */
+    get isoY() {
+      return this._isoPosition.y;
+    }
+
+    set isoY(value) {
+      this._isoPosition.y = value;
+      this._isoPositionChanged = this._isoBoundsChanged = true;
+
+      if (this.body){
+        this.body._reset = true;
+      }
+    }
+
+    /**
+     * The axonometric position of the game object on the z axis. Increasing the z coordinate will move the object directly upwards on the screen.
+     *
+     * @name IsoObject#isoZ
+     * @property {number} isoZ - The axonometric position of the game object on the z axis.
+     */
+    get isoZ() {
+      return this._isoPosition.z;
+    }
+
+    set isoZ(value) {
+      this._isoPosition.z = value;
+      this._isoPositionChanged = this._isoBoundsChanged = true;
+      if (this.body){
+        this.body._reset = true;
+      }
+    }
+
+    /**
+     * A Point3 object representing the axonometric position of the game object.
+     *
+     * @name IsoObject#isoPosition
+     * @property {Point3} isoPosition - The axonometric position of the game object.
+     * @readonly
+     */
+    get isoPosition() {
+      return this._isoPosition;
+    }
+
+    /**
+     * A Cube object representing the derived boundsof the game object.
+     *
+     * @name IsoObject#isoBounds
+     * @property {Point3} isoBounds - The derived 3D bounds of the game object.
+     * @readonly
+     */
+    get isoBounds() {
+      if (this._isoBoundsChanged || !this._isoBounds) {
+        this.resetIsoBounds();
+        this._isoBoundsChanged = false;
+      }
+
+      return this._isoBounds;
+    }
+
+    /**
+     * The explicit 3D size set with setIsoSize, unscaled, or null if the size is derived from the texture.
+     *
+     * @name IsoObject#isoSize
+     * @property {?Point3} isoSize - The explicit 3D size of the game object.
+     * @readonly
+     */
+    get isoSize() {
+      return this._isoSize;
+    }
+
+    /**
+     * The explicit anchor set with setIsoAnchor, or null if the position of the bounds is derived from the origin.
+     *
+     * @name IsoObject#isoAnchor
+     * @property {?Point3} isoAnchor - The explicit anchor of the 3D bounds of the game object.
+     * @readonly
+     */
+    get isoAnchor() {
+      return this._isoAnchor;
+    }
+
+    /**
+     * Set the 3D size of the game object instead of deriving it from the texture, which assumes a 2:1 cube image.
+     * The size is given unscaled and the scale of the game object is still applied to it. If the game object has a physics body, the body is resized as well.
+     * Call it without arguments to go back to the size derived from the texture.
+     *
+     * @method IsoObject#setIsoSize
+     * @param {number} [widthX] - The X axis width (breadth) of the game object.
+     * @param {number} [widthY=widthX] - The Y axis width (depth) of the game object.
+     * @param {number} [height=widthX] - The Z axis height of the game object.
+     * @return {IsoObject} This game object.
+     */
+    setIsoSize(widthX, widthY = widthX, height = widthX) {
+      if (typeof widthX === 'undefined') {
+        this._isoSize = null;
+      } else if (this._isoSize) {
+        this._isoSize.setTo(widthX, widthY, height);
+      } else {
+        this._isoSize = new Point3(widthX, widthY, height);
+      }
+
+      this._isoBoundsChanged = true;
+
+      if (this.body) {
+        if (this._isoSize) {
+          this.body.setSize(widthX, widthY, height);
+        } else {
+          //  Make the body derive its size from the texture again on its next update
+          this.body._sx = 0;
+        }
+      }
+
+      return this;
+    }
+
+    /**
+     * Set which point of the 3D bounds sits at the isoPosition, as a ratio of the size on each axis.
+     * For example (0.5, 0.5, 0) puts the bottom center of the bounds at the isoPosition. The anchor is used by the physics body as well.
+     * Call it without arguments to go back to the position derived from the origin.
+     *
+     * @method IsoObject#setIsoAnchor
+     * @param {number} [x] - The anchor on the x axis, between 0 (back) and 1 (front).
+     * @param {number} [y=x] - The anchor on the y axis, between 0 (back) and 1 (front).
+     * @param {number} [z=0] - The anchor on the z axis, between 0 (bottom) and 1 (top).
+     * @return {IsoObject} This game object.
+     */
+    setIsoAnchor(x, y = x, z = 0) {
+      if (typeof x === 'undefined') {
+        this._isoAnchor = null;
+      } else if (this._isoAnchor) {
+        this._isoAnchor.setTo(x, y, z);
+      } else {
+        this._isoAnchor = new Point3(x, y, z);
+      }
+
+      this._isoBoundsChanged = true;
+
+      if (this.body) {
+        this.body._reset = true;
+      }
+
+      return this;
+    }
+
+    /**
+     * Let the game object cast a shadow onto the highest surface below it, which is either the top of a physics body or the floor of the world.
+     * Calling it again replaces the shadow with one using the new configuration.
+     *
+     * @method IsoObject#enableShadow
+     * @param {object} [config] - The configuration of the shadow, see Shadow.
+     * @return {IsoObject} This game object.
+     */
+    enableShadow(config) {
+      this.disableShadow();
+
+      this.shadow = new Shadow(this, config);
+      this.shadow.update();
+
+      return this;
+    }
+
+    /**
+     * Remove the shadow of the game object.
+     *
+     * @method IsoObject#disableShadow
+     * @return {IsoObject} This game object.
+     */
+    disableShadow() {
+      if (this.shadow) {
+        this.shadow.destroy();
+        this.shadow = null;
+      }
+
+      return this;
+    }
+
+    /**
+     * Get the point on the top face of the isoBounds under a Pointer. Pointers over a side of the bounds are clamped to the nearest point on the edge of the top face.
+     * Handy inside `pointerdown`, `pointermove` and `pointerup` handlers, which also get this point as the `isopointerdown`, `isopointermove` and `isopointerup` events.
+     *
+     * @method IsoObject#pointerToTopFace
+     * @param {Phaser.Input.Pointer} pointer - The Pointer to project from.
+     * @param {Phaser.Cameras.Scene2D.Camera} [camera] - The camera to project through. Defaults to the camera the Pointer was last processed by, or the main camera of the scene.
+     * @param {Point3} [out] - The Point3 to set the coordinates into.
+     * @return {Point3} The point on the top face.
+     */
+    pointerToTopFace(pointer, camera, out = new Point3()) {
+      const projector = this.scene[this.scene.sys.settings.map.isoPlugin].projector;
+      const bounds = this.isoBounds;
+
+      projector.pointerToIso(pointer, bounds.top, camera, out);
+
+      out.x = Math.min(Math.max(out.x, bounds.x), bounds.frontX);
+      out.y = Math.min(Math.max(out.y, bounds.y), bounds.frontY);
+
+      return out;
+    }
+
+    /**
+     * Make the game object interactive with a hit area built from the projection of its isoBounds, rather than from the texture rectangle.
+     * The hit area is either the top face of the bounds, which is the diamond of a floor tile, or the whole silhouette of the bounds, which is the hexagon outline of a block.
+     * It follows the size of the bounds and is rebuilt whenever the game object is projected again, so it stays correct when the view is rotated or the projection changes.
+     *
+     * @method IsoObject#setIsoInteractive
+     * @param {string} [shape=SILHOUETTE] - The shape of the hit area, either TOP_FACE or SILHOUETTE.
+     * @param {boolean} [dropZone=false] - Whether the game object should be a drop zone.
+     * @return {IsoObject} This game object.
+     */
+    setIsoInteractive(shape = SILHOUETTE, dropZone = false) {
+      this._isoHitShape = shape;
+      this._isoHitCache.shape = null;
+
+      this.setInteractive(new Polygon(), Polygon.Contains, dropZone);
+      this._updateIsoHitArea();
+
+      return this;
+    }
+
+    /**
+     * Internal function that builds the hit area polygon set with setIsoInteractive from the projected corners of the isoBounds, in the local space of the game object.
+     *
+     * @method IsoObject#_updateIsoHitArea
+     * @private
+     */
+    _updateIsoHitArea() {
+      if (!this.input || !this.scaleX || !this.scaleY) {
+        return;
+      }
+
+      const projector = this.scene[this.scene.sys.settings.map.isoPlugin].projector;
+      const bounds = this.isoBounds;
+      const cache = this._isoHitCache;
+
+      //  Objects are projected on every frame, but most of them didn't move
+      if (
+        cache.shape === this._isoHitShape && cache.projection === projector.projection && cache.rotation === projector.viewRotation &&
+        cache.bounds.x === bounds.x && cache.bounds.y === bounds.y && cache.bounds.z === bounds.z &&
+        cache.bounds.widthX === bounds.widthX && cache.bounds.widthY === bounds.widthY && cache.bounds.height === bounds.height &&
+        cache.x === this.x && cache.y === this.y && cache.scaleX === this.scaleX && cache.scaleY === this.scaleY &&
+        cache.originX === this.displayOriginX && cache.originY === this.displayOriginY
+      ) {
+        return;
+      }
+
+      cache.shape = this._isoHitShape;
+      cache.projection = projector.projection;
+      cache.rotation = projector.viewRotation;
+      cache.bounds.copyFrom(bounds);
+      cache.x = this.x;
+      cache.y = this.y;
+      cache.scaleX = this.scaleX;
+      cache.scaleY = this.scaleY;
+      cache.originX = this.displayOriginX;
+      cache.originY = this.displayOriginY;
+
+      const corners = bounds.getCorners();
+      const indices = this._isoHitShape === TOP_FACE ? TOP_CORNERS : SILHOUETTE_CORNERS;
+      const points = indices.map((index, i) => {
+        const point = this._isoHitCorners[i] || (this._isoHitCorners[i] = new Point());
+        const { x, y } = projector.project(corners[index], point);
+
+        //  Hit areas are tested unscaled, relative to the top left of the frame
+        return point.setTo((x - this.x) / this.scaleX + this.displayOriginX, (y - this.y) / this.scaleY + this.displayOriginY);
+      });
+
+      const hull = convexHull(points);
+      const polygon = this.input.hitArea;
+
+      //  Reuse the points of the polygon when the hull has as many, which it has unless the projection changed
+      if (polygon.points.length === hull.length) {
+        hull.forEach(({ x, y }, i) => polygon.points[i].setTo(x, y));
+      } else {
+        polygon.setTo(hull);
+      }
+    }
+
+    /**
+     * Start moving the game object along a Path3 from its beginning.
+     *
+     * @method IsoObject#startFollow
+     * @param {Path3} path - The path to follow.
+     * @param {object} [config] - The configuration of the motion, see PathFollower3#start.
+     * @return {IsoObject} This game object.
+     */
+    startFollow(path, config) {
+      if (this.pathFollower === null) {
+        this.pathFollower = new PathFollower3(this);
+      }
+
+      this.pathFollower.start(path, config);
+
+      return this;
+    }
+
+    /**
+     * Stop moving the game object along its path, leaving it where it is.
+     *
+     * @method IsoObject#stopFollow
+     * @return {IsoObject} This game object.
+     */
+    stopFollow() {
+      if (this.pathFollower !== null) {
+        this.pathFollower.stop();
+      }
+
+      return this;
+    }
+
+    /**
+     * Internal function that performs the axonometric projection from 3D to 2D space.
+     * @method IsoObject#_project
+     * @private
+     */
+    _project() {
+      if (this._isoPositionChanged) {
+        const pluginKey = this.scene.sys.settings.map.isoPlugin;
+        const { projector: sceneProjector, sorter } = this.scene[pluginKey];
+        const { x, y } = sceneProjector.project(this._isoPosition);
+
+        this.x = x;
+        this.y = y;
+
+        //  The depth sorter takes care of the depth when it's enabled
+        if (!sorter.enabled) {
+          this.depth = sceneProjector.getDepth(this._isoPosition);
+        }
+
+        if (this.snap > 0) {
+          this.x = Phaser.Math.snapTo(this.x, this.snap);
+          this.y = Phaser.Math.snapTo(this.y, this.snap);
+        }
+
+        this._isoPositionChanged = this._isoBoundsChanged = true;
+
+        if (this._isoHitShape) {
+          this._updateIsoHitArea();
+        }
+      }
+    }
+
+    /**
+     * Internal function called by the World update cycle.
+     *
+     * @method IsoObject#preUpdate
+     * @param {number} time - The current timestamp.
+     * @param {number} delta - The delta time in ms since the last frame.
+     */
+    preUpdate(time, delta) {
+      if (super.preUpdate) {
+        super.preUpdate(time, delta);
+      }
+
+      this._project();
+
+      if (this.shadow) {
+        this.shadow.update();
+      }
+    }
+
+    /**
+     * Internal function called when the game object is destroyed.
+     *
+     * @method IsoObject#preDestroy
+     * @protected
+     */
+    preDestroy() {
+      if (super.preDestroy) {
+        super.preDestroy();
+      }
+
+      this.disableShadow();
+      this.stopFollow();
+    }
+
+    resetIsoBounds() {
+      if (typeof this._isoBounds === 'undefined') {
+        this._isoBounds = new Cube();
+      }
+
+      var asx = Math.abs(this.scaleX);
+      var asy = Math.abs(this.scaleY);
+
+      if (this._isoSize) {
+        this._isoBounds.widthX = this._isoSize.x * asx;
+        this._isoBounds.widthY = this._isoSize.y * asx;
+        this._isoBounds.height = this._isoSize.z * asy;
+      } else {
+        this._isoBounds.widthX = Math.round(Math.abs(this.width) * 0.5) * asx;
+        this._isoBounds.widthY = Math.round(Math.abs(this.width) * 0.5) * asx;
+        //  Texts and other objects wider than twice their height would get a negative height, which breaks sorting and picking
+        this._isoBounds.height = Math.max(Math.round(Math.abs(this.height) - (Math.abs(this.width) * 0.5)), 0) * asy;
+      }
+
+      if (this._isoAnchor) {
+        this._isoBounds.x = this.isoX - (this._isoBounds.widthX * this._isoAnchor.x);
+        this._isoBounds.y = this.isoY - (this._isoBounds.widthY * this._isoAnchor.y);
+        this._isoBounds.z = this.isoZ - (this._isoBounds.height * this._isoAnchor.z);
+      } else {
+        this._isoBounds.x = this.isoX + (this._isoBounds.widthX * -this.originX) + this._isoBounds.widthX * 0.5;
+        this._isoBounds.y = this.isoY + (this._isoBounds.widthY * this.originX) - this._isoBounds.widthY * 0.5;
+        this._isoBounds.z = this.isoZ - (Math.abs(this.height) * (1 - this.originY)) + (Math.abs(this.width * 0.5));
+      }
+
+      return this._isoBounds;
+    }
+  };
+}
@@ -29,11 +29,68 @@
  */
 
 import Projector from './Projector';
+import DepthSorter from './DepthSorter';
+import Occlusion from './Occlusion';
+import Lighting from './Lighting';
+import FogOfWar from './FogOfWar';
+import createFromTiled from './TiledLoader';
+import IsoGrid from './IsoGrid';
+import IsoGround from './IsoGround';
+import Autotiler from './Autotiler';
 import IsoSprite from './IsoSprite';
+import IsoImage from './IsoImage';
+import IsoText from './IsoText';
+import IsoBitmapText from './IsoBitmapText';
+import IsoZone, { ISOZONE } from './IsoZone';
+import IsoGraphics from './IsoGraphics';
+import IsoTween from './IsoTween';
+import IsoContainer from './IsoContainer';
+import IsoTerrain from './IsoTerrain';
+import Point3 from './Point3';
+import * as Facing from './Facing';
 export { default as IsoPhysics } from './physics/IsoPhysics';
+export { default as Projection } from './Projection';
+export { default as Path3 } from './Path3';
+export { default as DirectionalAnimator } from './DirectionalAnimator';
+export { default as IsoLight } from './IsoLight';
+export { IsoGrid };
+export { KINEMATIC, DISABLE } from './IsoTween';
+export { TOP_FACE, SILHOUETTE } from './IsoObject';
+export { FADE, XRAY } from './Occlusion';
+export { UNEXPLORED, EXPLORED, VISIBLE } from './FogOfWar';
+export { setAlphaFactor, removeAlphaFactor } from './AlphaFactors';
+export { DIAMOND, STAGGERED, ODD, EVEN } from './IsoGrid';
+export { BACK, RIGHT, FRONT, LEFT } from './IsoTerrain';
+export { EMPTY, SOLID, ONE_WAY, RAMP_FRONT_X, RAMP_BACK_X, RAMP_FRONT_Y, RAMP_BACK_Y } from './physics/TileLayer';
+export { Facing };
 
 //  Type consts
 
+//  Faces of a Cube a pick ray can enter through, indexed by axis and side
+const FACES = [['backX', 'frontX'], ['backY', 'frontY'], ['down', 'up']];
+
+//  The pointer events of the scene and of its game objects, and the iso events emitted after them
+const POINTER_EVENTS = [
+  ['pointerdown', 'gameobjectdown', 'isopointerdown'],
+  ['pointermove', 'gameobjectmove', 'isopointermove'],
+  ['pointerup', 'gameobjectup', 'isopointerup']
+];
+
+/**
+ * Add an iso game object created by a GameObjectFactory to the display list and to the update list, which keeps its projection up to date.
+ *
+ * @param {Phaser.GameObjects.GameObjectFactory} factory - The factory the game object was created by.
+ * @param {IsoObject} gameObject - The game object to add.
+ * @return {IsoObject} The game object.
+ * @private
+ */
+function addIsoObject(factory, gameObject) {
+  factory.displayList.add(gameObject);
+  factory.updateList.add(gameObject);
+
+  return gameObject;
+}
+
 /**
  * @class IsometricPlugin
  * 
@@ -56,6 +113,54 @@ export default class IsoPlugin {
     }
 
     this.projector = new Projector(scene, scene.isometricType);
+    this.projector.on('rotate', this.reproject, this);
+    this.projector.on('projectionchange', this.reproject, this);
+
+    /**
+     * @property {DepthSorter} sorter - Sorts the IsoSprites of the scene by their bounds once enabled with `sorter.enable()`.
+     */
+    this.sorter = new DepthSorter(scene, this.projector);
+
+    /**
+     * @property {Occlusion} occlusion - Reveals important IsoSprites hidden behind other iso game objects once enabled with `occlusion.enable()`.
+     */
+    this.occlusion = new Occlusion(scene, this.projector);
+
+    /**
+     * @property {Lighting} lighting - Tints the iso game objects by their distance to IsoLights in 3D space once enabled with `lighting.enable()`.
+     */
+    this.lighting = new Lighting(scene, this.projector);
+
+    /**
+     * @property {FogOfWar} fog - Hides the parts of the map no vision source sees once enabled with `fog.enable(config)`.
+     */
+    this.fog = new FogOfWar(scene, this.projector);
+
+    /**
+     * @property {array} _inputListeners - The listeners added to the input plugin of the scene, with their event names.
+     * @private
+     */
+    this._inputListeners = [];
+
+    //  The scene may have booted and started already when the plugin is installed at runtime
+    scene.sys.events.on('start', this._startInput, this);
+    scene.sys.events.on('shutdown', this._stopInput, this);
+
+    if (scene.sys.settings.isBooted && scene.sys.isActive()) {
+      this._startInput();
+    }
+
+    /**
+     * @property {Point3} _rayOrigin - Internal cache var holding the origin of the last pick ray.
+     * @private
+     */
+    this._rayOrigin = new Point3();
+
+    /**
+     * @property {Point3} _rayDirection - Internal cache var holding the direction of the last pick ray.
+     * @private
+     */
+    this._rayDirection = new Point3();
 
     /**
      * Create a new IsoSprite with specific position and sprite sheet key.
@@ -97,12 +202,457 @@ export default class IsoPlugin {
 
       return sprite;
     });
+
+    /**
+     * Create a new IsoImage with specific position and texture.
+     *
+     * @method Phaser.GameObjectCreator#isoImage
+     * @param {number} x - X position of the new IsoImage.
+     * @param {number} y - Y position of the new IsoImage.
+     * @param {number} z - Z position of the new IsoImage.
+     * @param {string} key - The key of the texture used by the IsoImage during rendering.
+     * @param {string|number} [frame] - The frame of the texture to use.
+     * @returns {IsoImage} the newly created IsoImage object.
+     */
+    Phaser.GameObjects.GameObjectCreator.register('isoImage', function (x, y, z, key, frame) {
+      return new IsoImage(this.scene, x, y, z, key, frame);
+    });
+
+    /**
+     * Create a new IsoImage with specific position and texture, and add it to the scene.
+     *
+     * @method Phaser.GameObjectFactory#isoImage
+     * @param {number} x - X position of the new IsoImage.
+     * @param {number} y - Y position of the new IsoImage.
+     * @param {number} z - Z position of the new IsoImage.
+     * @param {string} key - The key of the texture used by the IsoImage during rendering.
+     * @param {string|number} [frame] - The frame of the texture to use.
+     * @returns {IsoImage} the newly created IsoImage object.
+     */
+    Phaser.GameObjects.GameObjectFactory.register('isoImage', function (x, y, z, key, frame) {
+      return addIsoObject(this, new IsoImage(this.scene, x, y, z, key, frame));
+    });
+
+    /**
+     * Create a new IsoText with specific position, text and style.
+     *
+     * @method Phaser.GameObjectCreator#isoText
+     * @param {number} x - X position of the new IsoText.
+     * @param {number} y - Y position of the new IsoText.
+     * @param {number} z - Z position of the new IsoText.
+     * @param {string|string[]} text - The text to display.
+     * @param {object} [style] - The text style configuration object.
+     * @returns {IsoText} the newly created IsoText object.
+     */
+    Phaser.GameObjects.GameObjectCreator.register('isoText', function (x, y, z, text, style) {
+      return new IsoText(this.scene, x, y, z, text, style);
+    });
+
+    /**
+     * Create a new IsoText with specific position, text and style, and add it to the scene.
+     *
+     * @method Phaser.GameObjectFactory#isoText
+     * @param {number} x - X position of the new IsoText.
+     * @param {number} y - Y position of the new IsoText.
+     * @param {number} z - Z position of the new IsoText.
+     * @param {string|string[]} text - The text to display.
+     * @param {object} [style] - The text style configuration object.
+     * @returns {IsoText} the newly created IsoText object.
+     */
+    Phaser.GameObjects.GameObjectFactory.register('isoText', function (x, y, z, text, style) {
+      return addIsoObject(this, new IsoText(this.scene, x, y, z, text, style));
+    });
+
+    /**
+     * Create a new IsoBitmapText with specific position, font and text.
+     *
+     * @method Phaser.GameObjectCreator#isoBitmapText
+     * @param {number} x - X position of the new IsoBitmapText.
+     * @param {number} y - Y position of the new IsoBitmapText.
+     * @param {number} z - Z position of the new IsoBitmapText.
+     * @param {string} font - The key of the bitmap font to use.
+     * @param {string|string[]} [text] - The text to display.
+     * @param {number} [size] - The font size.
+     * @param {number} [align=0] - The alignment of multi-line text: 0 left, 1 center, 2 right.
+     * @returns {IsoBitmapText} the newly created IsoBitmapText object.
+     */
+    Phaser.GameObjects.GameObjectCreator.register('isoBitmapText', function (x, y, z, font, text, size, align) {
+      return new IsoBitmapText(this.scene, x, y, z, font, text, size, align);
+    });
+
+    /**
+     * Create a new IsoBitmapText with specific position, font and text, and add it to the scene.
+     *
+     * @method Phaser.GameObjectFactory#isoBitmapText
+     * @param {number} x - X position of the new IsoBitmapText.
+     * @param {number} y - Y position of the new IsoBitmapText.
+     * @param {number} z - Z position of the new IsoBitmapText.
+     * @param {string} font - The key of the bitmap font to use.
+     * @param {string|string[]} [text] - The text to display.
+     * @param {number} [size] - The font size.
+     * @param {number} [align=0] - The alignment of multi-line text: 0 left, 1 center, 2 right.
+     * @returns {IsoBitmapText} the newly created IsoBitmapText object.
+     */
+    Phaser.GameObjects.GameObjectFactory.register('isoBitmapText', function (x, y, z, font, text, size, align) {
+      return addIsoObject(this, new IsoBitmapText(this.scene, x, y, z, font, text, size, align));
+    });
+
+    /**
+     * Create a new IsoZone spanning the given region.
+     *
+     * @method Phaser.GameObjectCreator#isoZone
+     * @param {number} x - X position of the back corner of the new IsoZone.
+     * @param {number} y - Y position of the back corner of the new IsoZone.
+     * @param {number} z - Z position of the bottom of the new IsoZone.
+     * @param {number} widthX - The X axis width (breadth) of the new IsoZone.
+     * @param {number} [widthY=widthX] - The Y axis width (depth) of the new IsoZone.
+     * @param {number} [height=widthX] - The Z axis height of the new IsoZone.
+     * @returns {IsoZone} the newly created IsoZone object.
+     */
+    Phaser.GameObjects.GameObjectCreator.register('isoZone', function (x, y, z, widthX, widthY, height) {
+      return new IsoZone(this.scene, x, y, z, widthX, widthY, height);
+    });
+
+    /**
+     * Create a new IsoZone spanning the given region, and add it to the scene.
+     *
+     * @method Phaser.GameObjectFactory#isoZone
+     * @param {number} x - X position of the back corner of the new IsoZone.
+     * @param {number} y - Y position of the back corner of the new IsoZone.
+     * @param {number} z - Z position of the bottom of the new IsoZone.
+     * @param {number} widthX - The X axis width (breadth) of the new IsoZone.
+     * @param {number} [widthY=widthX] - The Y axis width (depth) of the new IsoZone.
+     * @param {number} [height=widthX] - The Z axis height of the new IsoZone.
+     * @returns {IsoZone} the newly created IsoZone object.
+     */
+    Phaser.GameObjects.GameObjectFactory.register('isoZone', function (x, y, z, widthX, widthY, height) {
+      return addIsoObject(this, new IsoZone(this.scene, x, y, z, widthX, widthY, height));
+    });
+
+    /**
+     * Create a new IsoGraphics object, whose drawing commands take coordinates in 3D space.
+     *
+     * @method Phaser.GameObjectCreator#isoGraphics
+     * @param {object} [options] - The Graphics options, such as the default line and fill styles.
+     * @returns {IsoGraphics} the newly created IsoGraphics object.
+     */
+    Phaser.GameObjects.GameObjectCreator.register('isoGraphics', function (options) {
+      return new IsoGraphics(this.scene, options);
+    });
+
+    /**
+     * Create a new IsoGraphics object, whose drawing commands take coordinates in 3D space, and add it to the scene.
+     *
+     * @method Phaser.GameObjectFactory#isoGraphics
+     * @param {object} [options] - The Graphics options, such as the default line and fill styles.
+     * @returns {IsoGraphics} the newly created IsoGraphics object.
+     */
+    Phaser.GameObjects.GameObjectFactory.register('isoGraphics', function (options) {
+      const graphics = new IsoGraphics(this.scene, options);
+
+      this.displayList.add(graphics);
+
+      return graphics;
+    });
+
+    /**
+     * Create a new IsoContainer at the given position.
+     *
+     * @method Phaser.GameObjectCreator#isoContainer
+     * @param {number} [x=0] - X position of the new IsoContainer.
+     * @param {number} [y=0] - Y position of the new IsoContainer.
+     * @param {number} [z=0] - Z position of the new IsoContainer.
+     * @param {IsoSprite|IsoContainer|array} [children] - Children to add, positioned relative to the IsoContainer by their current iso position.
+     * @returns {IsoContainer} the newly created IsoContainer object.
+     */
+    Phaser.GameObjects.GameObjectCreator.register('isoContainer', function (x, y, z, children) {
+      return new IsoContainer(this.scene, x, y, z, children);
+    });
+
+    /**
+     * Create a new IsoContainer at the given position. The IsoContainer draws nothing itself, so it is only added to the update list, which destroys it when the scene shuts down, while its children stay on the display list.
+     *
+     * @method Phaser.GameObjectFactory#isoContainer
+     * @param {number} [x=0] - X position of the new IsoContainer.
+     * @param {number} [y=0] - Y position of the new IsoContainer.
+     * @param {number} [z=0] - Z position of the new IsoContainer.
+     * @param {IsoSprite|IsoContainer|array} [children] - Children to add, positioned relative to the IsoContainer by their current iso position.
+     * @returns {IsoContainer} the newly created IsoContainer object.
+     */
+    Phaser.GameObjects.GameObjectFactory.register('isoContainer', function (x, y, z, children) {
+      const container = new IsoContainer(this.scene, x, y, z, children);
+
+      this.updateList.add(container);
+
+      return container;
+    });
+
+    /**
+     * Create a new IsoTerrain from a 2D array of height levels, with an IsoSprite for every cell, which are added to the scene.
+     *
+     * @method Phaser.GameObjectFactory#isoTerrain
+     * @param {number} x - X position of the back corner of the new IsoTerrain.
+     * @param {number} y - Y position of the back corner of the new IsoTerrain.
+     * @param {number} z - Z position of level 0 of the new IsoTerrain.
+     * @param {Array.<Array.<number>>} heights - The level of every cell, as an array of rows along the y axis.
+     * @param {object} config - The configuration of the IsoTerrain, such as the key of the spritesheet with the tiles.
+     * @returns {IsoTerrain} the newly created IsoTerrain object.
+     */
+    Phaser.GameObjects.GameObjectFactory.register('isoTerrain', function (x, y, z, heights, config) {
+      return new IsoTerrain(this.scene, x, y, z, heights, config);
+    });
   }
 
   boot() {
   }
 
+  /**
+   * Start translating the input events of the scene into iso input events. Called automatically when the scene starts, or right away when the plugin is installed into a running scene.
+   *
+   * @method IsoPlugin#_startInput
+   * @private
+   */
+  _startInput() {
+    const input = this.scene.input;
+
+    if (!input || this._inputListeners.length > 0) {
+      return;
+    }
+
+    POINTER_EVENTS.forEach(([event, gameObjectEvent, isoEvent]) => {
+      const onPointer = pointer => this._emitGroundEvent(isoEvent, pointer);
+      const onGameObject = (pointer, gameObject) => this._emitTopFaceEvent(isoEvent, pointer, gameObject);
+
+      input.on(event, onPointer);
+      input.on(gameObjectEvent, onGameObject);
+
+      this._inputListeners.push([event, onPointer], [gameObjectEvent, onGameObject]);
+    });
+  }
+
+  /**
+   * Stop translating the input events of the scene. Called automatically when the scene shuts down.
+   *
+   * @method IsoPlugin#_stopInput
+   * @private
+   */
+  _stopInput() {
+    const input = this.scene.input;
+
+    if (input) {
+      this._inputListeners.forEach(([event, listener]) => input.off(event, listener));
+    }
+
+    this._inputListeners.length = 0;
+  }
+
+  /**
+   * Emit an iso pointer event on the input plugin of the scene, with the point on the z=0 ground plane under the pointer.
+   *
+   * @method IsoPlugin#_emitGroundEvent
+   * @param {string} event - The iso event to emit.
+   * @param {Phaser.Input.Pointer} pointer - The Pointer of the event.
+   * @private
+   */
+  _emitGroundEvent(event, pointer) {
+    const input = this.scene.input;
+
+    //  Unprojecting on every pointer move is only worth it if somebody listens
+    if (input.listenerCount(event) > 0) {
+      input.emit(event, pointer, this.projector.pointerToIso(pointer));
+    }
+  }
+
+  /**
+   * Emit an iso pointer event on the iso game object the pointer event happened on, with the point on its top face under the pointer.
+   *
+   * @method IsoPlugin#_emitTopFaceEvent
+   * @param {string} event - The iso event to emit.
+   * @param {Phaser.Input.Pointer} pointer - The Pointer of the event.
+   * @param {Phaser.GameObjects.GameObject} gameObject - The game object the event happened on.
+   * @private
+   */
+  _emitTopFaceEvent(event, pointer, gameObject) {
+    if (gameObject.isIsoObject && gameObject.listenerCount(event) > 0) {
+      gameObject.emit(event, pointer, gameObject.pointerToTopFace(pointer));
+    }
+  }
+
+  /**
+   * Project all iso game objects on the display list of the scene again and update their depth. This is done automatically when the view is rotated or the projection changes.
+   *
+   * @method IsoPlugin#reproject
+   */
+  reproject() {
+    const list = this.systems.displayList.list;
+
+    for (let i = 0; i < list.length; i++) {
+      if (list[i].isIsoObject) {
+        list[i]._isoPositionChanged = true;
+        list[i]._project();
+      }
+    }
+  }
+
+  /**
+   * Create iso game objects from a map made in Tiled with isometric orientation, so its tiles depth sort with the other iso game objects of the scene.
+   * Load the map with `load.tilemapTiledJSON` and the tilesets as spritesheets named after them first.
+   *
+   * @method IsoPlugin#addTiledMap
+   * @param {string|object} key - The key of the map in the tilemap cache, or the parsed JSON of the map.
+   * @param {object} [config] - The configuration of the loader, see createFromTiled.
+   * @return {object} The `cellSize`, the IsoSprites of every tile layer in `layers` and the game objects of every object layer in `objects`, both keyed by layer name.
+   */
+  addTiledMap(key, config) {
+    const map = typeof key === 'string' ? this.scene.cache.tilemap.get(key).data : key;
+
+    return createFromTiled(this.scene, map, config);
+  }
+
+  /**
+   * Draw a large static floor of flat tiles in chunks, which are culled against the camera, instead of creating an IsoSprite for every tile.
+   *
+   * @method IsoPlugin#addGround
+   * @param {Array.<Array.<?(string|number)>>} tiles - The frame of every tile, as an array of rows along the y axis. Null leaves a cell empty.
+   * @param {object} config - The configuration of the floor, such as the key of the texture with the tiles, see IsoGround.
+   * @return {IsoGround} The new IsoGround.
+   */
+  addGround(tiles, config) {
+    return new IsoGround(this.scene, tiles, config);
+  }
+
+  /**
+   * Create a grid converting between tile coordinates of a diamond or staggered layout and the x/y plane of 3D space.
+   *
+   * @method IsoPlugin#createGrid
+   * @param {object} [config] - The configuration of the grid, see IsoGrid.
+   * @return {IsoGrid} The new IsoGrid.
+   */
+  createGrid(config) {
+    return new IsoGrid(config);
+  }
+
+  /**
+   * Create an Autotiler picking the frames of connected tiles like roads and walls from their neighbours, following rules given as data.
+   *
+   * @method IsoPlugin#createAutotiler
+   * @param {IsoGrid} grid - The grid of the tiles.
+   * @param {object} rules - The rule set of every kind of tile, keyed by kind, see Autotiler.
+   * @param {object} [config] - The configuration of the Autotiler, such as an IsoGround to set the frames on, see Autotiler.
+   * @return {Autotiler} The new Autotiler.
+   */
+  createAutotiler(grid, rules, config) {
+    return new Autotiler(grid, rules, config);
+  }
+
+  /**
+   * Tween an iso game object to another position, with an ease for each axis and an optional hop. Its physics body is kept in sync and out of the way while the tween runs.
+   *
+   * @method IsoPlugin#tween
+   * @param {IsoSprite} target - The iso game object to move.
+   * @param {object} config - The configuration of the tween, see IsoTween.
+   * @return {IsoTween} The new IsoTween.
+   */
+  tween(target, config) {
+    return new IsoTween(this.scene, target, config);
+  }
+
+  /**
+   * Cast a ray through the given screen position into the 3D scene and return the IsoSprite it hits first, seen from the viewer.
+   * Unlike the texture based hit tests of `setInteractive()` this respects the depth of the IsoSprites, so overlapping sprites are picked correctly.
+   *
+   * @method IsoPlugin#pick
+   * @param {Phaser.Input.Pointer|object} [pointer] - The Pointer or any object with screen x and y properties. Defaults to the active pointer of the scene.
+   * @param {Array.<IsoSprite>} [gameObjects] - The game objects to pick from. Defaults to all IsoSprites on the display list of the scene.
+   * @param {Phaser.Cameras.Scene2D.Camera} [camera] - The camera to cast the ray through. Defaults to the camera of the Pointer or the main camera.
+   * @return {?{sprite: IsoSprite, point: Point3, face: string}} The nearest hit, with the hit point and the face of the isoBounds it entered through (one of `up`, `down`, `frontX`, `frontY`, `backX` or `backY`), or null if nothing was hit.
+   */
+  pick(pointer = this.scene.input.activePointer, gameObjects = this.systems.displayList.list, camera = pointer.camera || this.scene.cameras.main) {
+    const origin = this.projector.unproject(pointer, this._rayOrigin, 0, camera);
+    const direction = Point3.subtract(this.projector.unproject(pointer, this._rayDirection, 1, camera), origin, this._rayDirection);
+
+    let nearest = null;
+    let nearestDistance = -Infinity;
+
+    for (let i = 0; i < gameObjects.length; i++) {
+      const sprite = gameObjects[i];
+
+      if (!sprite.isIsoObject || sprite.type === ISOZONE || !sprite.visible) {
+        continue;
+      }
+
+      const hit = intersectRay(sprite.isoBounds, origin, direction);
+
+      if (hit && hit.distance > nearestDistance) {
+        nearestDistance = hit.distance;
+        nearest = hit;
+        nearest.sprite = sprite;
+      }
+    }
+
+    if (nearest === null) {
+      return null;
+    }
+
+    return {
+      sprite: nearest.sprite,
+      point: new Point3(
+        origin.x + direction.x * nearest.distance,
+        origin.y + direction.y * nearest.distance,
+        origin.z + direction.z * nearest.distance
+      ),
+      face: nearest.face
+    };
+  }
+
   static register(PluginManager) {
     PluginManager.register('IsoPlugin', IsoPlugin, 'isoPlugin');
   }
 }
+
+/**
+ * Intersects a ray with a Cube using the slab method. The ray is travelling towards the viewer for increasing distances,
+ * so the point where it leaves the Cube is the one facing the viewer.
+ *
+ * @param {Cube} cube - The Cube to test against.
+ * @param {Point3} origin - The origin of the ray.
+ * @param {Point3} direction - The direction of the ray.
+ * @return {?{distance: number, face: string}} The distance along the ray and the face that was hit, or null if the ray misses the Cube.
+ * @private
+ */
+function intersectRay(cube, origin, direction) {
+  const min = [cube.x, cube.y, cube.z];
+  const max = [cube.frontX, cube.frontY, cube.top];
+  const from = [origin.x, origin.y, origin.z];
+  const along = [direction.x, direction.y, direction.z];
+
+  let near = -Infinity;
+  let far = Infinity;
+  let face = null;
+
+  for (let axis = 0; axis < 3; axis++) {
+    if (along[axis] === 0) {
+      if (from[axis] < min[axis] || from[axis] > max[axis]) {
+        return null;
+      }
+
+      continue;
+    }
+
+    const t1 = (min[axis] - from[axis]) / along[axis];
+    const t2 = (max[axis] - from[axis]) / along[axis];
+
+    near = Math.max(near, Math.min(t1, t2));
+
+    if (Math.max(t1, t2) < far) {
+      far = Math.max(t1, t2);
+      face = FACES[axis][along[axis] > 0 ? 1 : 0];
+    }
+  }
+
+  if (near > far || face === null) {
+    return null;
+  }
+
+  return { distance: far, face };
+}
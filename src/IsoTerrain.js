@@ -0,0 +1,284 @@
+import Point3 from './Point3';
+import IsoContainer from './IsoContainer';
+
+export const ISOTERRAIN = 'IsoTerrain';
+
+//  The bits of the slope mask for the corners of a cell, from the back corner around to the left corner
+export const BACK = 1;
+export const RIGHT = 2;
+export const FRONT = 4;
+export const LEFT = 8;
+
+//  The offsets of the corners of a cell on the x and y axes, in the order of their bits
+const CORNERS = [[0, 0], [1, 0], [1, 1], [0, 1]];
+
+/**
+* @class IsoTerrain
+*
+* @classdesc
+* Create a new `IsoTerrain` object. An IsoTerrain turns a 2D array of height levels into rolling ground, with an IsoSprite for every cell.
+*
+* A cell next to a higher cell gets the corners it shares with it raised by one level, so it slopes up to meet it, like the terrain of SimCity or RollerCoaster Tycoon.
+* Which corners are raised is stored in a mask of the BACK, RIGHT, FRONT and LEFT bits, and the mask picks the frame of the cell. By default the mask is the frame index,
+* so the spritesheet holds the flat tile followed by the 14 slope and corner tiles. Differences of more than one level between neighbours leave a cliff.
+*
+* The tiles are children of the IsoTerrain, so moving it moves the whole landscape. They are placed by the back corner of their cell so their depth stays below
+* anything standing on them; enable the depth sorter for the best results on hills.
+*/
+export default class IsoTerrain extends IsoContainer {
+  /**
+   * @constructor
+   * @extends IsoContainer
+   * @param {Phaser.Scene} scene - A reference to the current scene.
+   * @param {number} x - The x coordinate (in 3D space) of the back corner of the IsoTerrain.
+   * @param {number} y - The y coordinate (in 3D space) of the back corner of the IsoTerrain.
+   * @param {number} z - The z coordinate (in 3D space) of level 0.
+   * @param {Array.<Array.<number>>} heights - The level of every cell, as an array of rows along the y axis, each holding the cells along the x axis.
+   * @param {object} config - The configuration of the IsoTerrain.
+   * @param {string} config.key - The key of the spritesheet with the tiles.
+   * @param {Array|function} [config.frames] - The frame for every slope mask, as an array indexed by mask or a function getting the mask and returning the frame. Defaults to the mask itself.
+   * @param {number} [config.cellSize=38] - The size of a cell on the x and y axes.
+   * @param {number} [config.stepHeight=cellSize / 2] - The height of one level.
+   */
+  constructor(scene, x, y, z, heights, { key, frames = null, cellSize = 38, stepHeight = cellSize / 2 }) {
+    super(scene, x, y, z);
+
+    /**
+     * @property {number} type - The const type of this object.
+     * @readonly
+     */
+    this.type = ISOTERRAIN;
+
+    /**
+     * @property {string} key - The key of the spritesheet with the tiles.
+     * @readonly
+     */
+    this.key = key;
+
+    /**
+     * @property {?(Array|function)} frames - The frame for every slope mask, or null to use the mask as frame index.
+     * @readonly
+     */
+    this.frames = frames;
+
+    /**
+     * @property {number} cellSize - The size of a cell on the x and y axes.
+     * @readonly
+     */
+    this.cellSize = cellSize;
+
+    /**
+     * @property {number} stepHeight - The height of one level.
+     * @readonly
+     */
+    this.stepHeight = stepHeight;
+
+    /**
+     * @property {number} columns - The number of cells along the x axis.
+     * @readonly
+     */
+    this.columns = heights.length > 0 ? heights[0].length : 0;
+
+    /**
+     * @property {number} rows - The number of cells along the y axis.
+     * @readonly
+     */
+    this.rows = heights.length;
+
+    /**
+     * @property {Array.<Array.<number>>} heights - A copy of the level of every cell. Use setHeight to change it.
+     * @readonly
+     */
+    this.heights = heights.map(row => row.slice());
+
+    /**
+     * @property {Array.<IsoSprite>} tiles - The IsoSprite of every cell, row by row.
+     * @readonly
+     */
+    this.tiles = [];
+
+    /**
+     * @property {Array.<number>} _corners - Internal cache var holding the levels of the corners of a cell.
+     * @private
+     */
+    this._corners = [0, 0, 0, 0];
+
+    //  The tiles are children, so they are created relative to the origin of the IsoTerrain
+    for (let row = 0; row < this.rows; row++) {
+      for (let column = 0; column < this.columns; column++) {
+        const tile = scene.add.isoSprite(0, 0, 0, key);
+
+        this.tiles.push(tile);
+        this.add(tile);
+        this._updateTile(column, row);
+      }
+    }
+  }
+
+  /**
+   * Get the level of a cell.
+   *
+   * @method IsoTerrain#getLevel
+   * @param {number} column - The column of the cell, along the x axis.
+   * @param {number} row - The row of the cell, along the y axis.
+   * @return {?number} The level, or null if the cell is outside the IsoTerrain.
+   */
+  getLevel(column, row) {
+    if (column < 0 || row < 0 || column >= this.columns || row >= this.rows) {
+      return null;
+    }
+
+    return this.heights[row][column];
+  }
+
+  /**
+   * Change the level of a cell and update the slopes of the cell and its neighbours.
+   *
+   * @method IsoTerrain#setLevel
+   * @param {number} column - The column of the cell, along the x axis.
+   * @param {number} row - The row of the cell, along the y axis.
+   * @param {number} level - The new level.
+   * @return {IsoTerrain} This IsoTerrain object.
+   */
+  setLevel(column, row, level) {
+    if (this.getLevel(column, row) === null) {
+      return this;
+    }
+
+    this.heights[row][column] = level;
+
+    for (let y = Math.max(row - 1, 0); y <= Math.min(row + 1, this.rows - 1); y++) {
+      for (let x = Math.max(column - 1, 0); x <= Math.min(column + 1, this.columns - 1); x++) {
+        this._updateTile(x, y);
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Get the slope mask of a cell, which has the BACK, RIGHT, FRONT and LEFT bits set for the corners raised one level above the cell.
+   *
+   * @method IsoTerrain#getSlope
+   * @param {number} column - The column of the cell, along the x axis.
+   * @param {number} row - The row of the cell, along the y axis.
+   * @return {number} The slope mask, 0 for a flat cell.
+   */
+  getSlope(column, row) {
+    const level = this.getLevel(column, row);
+    const corners = this._getCornerLevels(column, row, this._corners);
+    let mask = 0;
+
+    for (let i = 0; i < corners.length; i++) {
+      if (corners[i] > level) {
+        mask |= 1 << i;
+      }
+    }
+
+    //  A cell with all corners raised is simply flat one level higher
+    return mask === (BACK | RIGHT | FRONT | LEFT) ? 0 : mask;
+  }
+
+  /**
+   * Get the height of the ground at a point on the x/y plane, interpolated between the corners of the cell on slopes.
+   *
+   * @method IsoTerrain#getHeightAt
+   * @param {number} x - The x coordinate (in 3D space) of the point.
+   * @param {number} y - The y coordinate (in 3D space) of the point.
+   * @return {?number} The z coordinate of the ground, or null if the point is outside the IsoTerrain.
+   */
+  getHeightAt(x, y) {
+    const localX = (x - this.isoX) / this.cellSize;
+    const localY = (y - this.isoY) / this.cellSize;
+    const column = Math.floor(localX);
+    const row = Math.floor(localY);
+
+    if (this.getLevel(column, row) === null) {
+      return null;
+    }
+
+    const [back, right, front, left] = this._getCornerLevels(column, row, this._corners);
+    const u = localX - column;
+    const v = localY - row;
+    const level = (back * (1 - u) + right * u) * (1 - v) + (left * (1 - u) + front * u) * v;
+
+    return this.isoZ + level * this.stepHeight;
+  }
+
+  /**
+   * Get the levels of the corners of a cell. A corner is raised to the level of the highest cell sharing it, but by one level at most.
+   *
+   * @method IsoTerrain#_getCornerLevels
+   * @param {number} column - The column of the cell, along the x axis.
+   * @param {number} row - The row of the cell, along the y axis.
+   * @param {Array.<number>} out - The array to set the levels of the back, right, front and left corners into.
+   * @return {Array.<number>} The levels.
+   * @private
+   */
+  _getCornerLevels(column, row, out) {
+    const level = this.heights[row][column];
+
+    for (let i = 0; i < CORNERS.length; i++) {
+      const [cornerX, cornerY] = CORNERS[i];
+      let highest = level;
+
+      //  The cells sharing a corner are the ones to its back, left, right and front
+      for (let y = row + cornerY - 1; y <= row + cornerY; y++) {
+        for (let x = column + cornerX - 1; x <= column + cornerX; x++) {
+          const neighbour = this.getLevel(x, y);
+
+          if (neighbour !== null && neighbour > highest) {
+            highest = neighbour;
+          }
+        }
+      }
+
+      out[i] = Math.min(highest, level + 1);
+    }
+
+    return out;
+  }
+
+  /**
+   * Set the frame, position and size of the tile of a cell from its level and slope.
+   *
+   * @method IsoTerrain#_updateTile
+   * @param {number} column - The column of the cell, along the x axis.
+   * @param {number} row - The row of the cell, along the y axis.
+   * @private
+   */
+  _updateTile(column, row) {
+    const tile = this.tiles[row * this.columns + column];
+    const corners = this._getCornerLevels(column, row, this._corners);
+    const mask = this.getSlope(column, row);
+    const level = Math.min(corners[0], corners[1], corners[2], corners[3]);
+    const projector = this.scene[this.scene.sys.settings.map.isoPlugin].projector;
+
+    tile.setFrame(this._getFrame(mask));
+
+    //  The image stands on the front corner of the cell, which lies the height of the projected cell below the back corner
+    const cellHeight = projector.projectVector(new Point3(this.cellSize, this.cellSize, 0)).y;
+
+    tile.setOrigin(0.5, 1 - cellHeight / tile.height);
+    tile.setIsoAnchor(0, 0, 0);
+    tile.setIsoSize(this.cellSize, this.cellSize, mask === 0 ? 0 : this.stepHeight);
+
+    this.setLocalPosition(tile, column * this.cellSize, row * this.cellSize, level * this.stepHeight);
+  }
+
+  /**
+   * Get the frame for a slope mask.
+   *
+   * @method IsoTerrain#_getFrame
+   * @param {number} mask - The slope mask.
+   * @return {string|number} The frame.
+   * @private
+   */
+  _getFrame(mask) {
+    if (this.frames === null) {
+      return mask;
+    }
+
+    return typeof this.frames === 'function' ? this.frames(mask) : this.frames[mask];
+  }
+}
@@ -0,0 +1,33 @@
+import IsoObject from './IsoObject';
+
+export const ISOTEXT = 'IsoText';
+const Text = Phaser.GameObjects.Text;
+
+/**
+* @class IsoText
+*
+* @classdesc
+* Create a new `IsoText` object. IsoTexts are Texts positioned in 3D space, with the same isoX, isoY and isoZ, isoBounds and depth behaviour as IsoSprites.
+* Handy for labels and damage numbers that have to appear in front of or behind the objects around them.
+*/
+export default class IsoText extends IsoObject(Text) {
+  /**
+   * @constructor
+   * @extends Phaser.GameObjects.Text
+   * @param {Phaser.Scene} scene - A reference to the current scene.
+   * @param {number} x - The x coordinate (in 3D space) to position the IsoText at.
+   * @param {number} y - The y coordinate (in 3D space) to position the IsoText at.
+   * @param {number} z - The z coordinate (in 3D space) to position the IsoText at.
+   * @param {string|string[]} text - The text to display.
+   * @param {object} [style] - The text style configuration object.
+   */
+  constructor(scene, x, y, z, text, style) {
+    super(scene, x, y, z, text, style);
+
+    /**
+     * @property {number} type - The const type of this object.
+     * @readonly
+     */
+    this.type = ISOTEXT;
+  }
+}
@@ -0,0 +1,259 @@
+import Point3 from './Point3';
+
+const GetEaseFunction = Phaser.Tweens.Builders.GetEaseFunction;
+
+//  Physics modes
+export const KINEMATIC = 'kinematic';
+export const DISABLE = 'disable';
+
+/**
+ * Take a physics body out of the simulation while its game object is moved by hand, either by making it kinematic or by disabling it.
+ *
+ * @function suspendBody
+ * @param {?Body} body - The body to suspend, if any.
+ * @param {string} physics - Either KINEMATIC or DISABLE.
+ * @return {?object} The state of the body to pass to restoreBody, or null if there was no body.
+ */
+export function suspendBody(body, physics) {
+  if (!body) {
+    return null;
+  }
+
+  const state = { enable: body.enable, moves: body.moves, immovable: body.immovable };
+
+  if (physics === DISABLE) {
+    body.enable = false;
+  } else {
+    body.moves = false;
+    body.immovable = true;
+  }
+
+  body.velocity.setTo(0, 0, 0);
+
+  return state;
+}
+
+/**
+ * Put a physics body suspended with suspendBody back into the simulation.
+ *
+ * @function restoreBody
+ * @param {?Body} body - The suspended body, if any.
+ * @param {?object} state - The state returned by suspendBody.
+ */
+export function restoreBody(body, state) {
+  if (body && state) {
+    body.enable = state.enable;
+    body.moves = state.moves;
+    body.immovable = state.immovable;
+  }
+}
+
+/**
+ * @class IsoTween
+ *
+ * @classdesc
+ * Moves an iso game object from one Point3 to another, with an ease for each axis and an optional parabolic hop on the z axis, for example to hop from tile to tile.
+ * A physics body of the game object is either made kinematic (it stops moving on its own, but still collides as an immovable body) or disabled while the tween runs, and restored afterwards.
+ * Create IsoTweens with `scene.iso.tween(target, config)`.
+ */
+class IsoTween {
+  /**
+   * @constructor
+   * @param {Phaser.Scene} scene - A reference to the current scene.
+   * @param {IsoSprite} target - The iso game object to move.
+   * @param {object} config - The configuration of the tween.
+   * @param {Point3|object} config.to - The position to move to.
+   * @param {Point3|object} [config.from] - The position to start at. Defaults to the position of the target when the tween starts, after the delay.
+   * @param {number} [config.duration=500] - The duration of the tween in ms.
+   * @param {number} [config.delay=0] - The delay before the tween starts in ms.
+   * @param {string|function|object} [config.ease='Linear'] - The ease to use on all axes, or an object with an ease for each of the `x`, `y` and `z` axes.
+   * @param {number} [config.hop=0] - The height of a parabolic hop added to the z axis, reached halfway through the tween.
+   * @param {string} [config.physics=KINEMATIC] - How to handle the physics body of the target during the tween, either KINEMATIC or DISABLE.
+   * @param {function} [config.onUpdate] - Called with the target and the IsoTween after every step.
+   * @param {function} [config.onComplete] - Called with the target and the IsoTween when the target arrived.
+   * @param {object} [config.callbackScope] - The scope to call the callbacks in.
+   */
+  constructor(scene, target, {
+    to,
+    from = null,
+    duration = 500,
+    delay = 0,
+    ease = 'Linear',
+    hop = 0,
+    physics = KINEMATIC,
+    onUpdate = null,
+    onComplete = null,
+    callbackScope = null
+  }) {
+    /**
+     * @property {IsoSprite} target - The iso game object being moved.
+     */
+    this.target = target;
+
+    /**
+     * @property {Point3} from - The position the tween starts at. Without a given one it is set when the tween starts.
+     */
+    this.from = from ? new Point3(from.x, from.y, from.z) : new Point3();
+
+    /**
+     * @property {Point3} to - The position the tween ends at.
+     */
+    this.to = new Point3(to.x, to.y, to.z);
+
+    /**
+     * @property {number} hop - The height of the parabolic hop added to the z axis.
+     */
+    this.hop = hop;
+
+    /**
+     * @property {string} physics - How the physics body of the target is handled during the tween.
+     * @readonly
+     */
+    this.physics = physics;
+
+    /**
+     * @property {boolean} isPlaying - Whether the tween started and did not finish or stop yet.
+     * @readonly
+     */
+    this.isPlaying = false;
+
+    /**
+     * @property {function} onUpdate - Called with the target and the IsoTween after every step.
+     */
+    this.onUpdate = onUpdate;
+
+    /**
+     * @property {function} onComplete - Called with the target and the IsoTween when the target arrived.
+     */
+    this.onComplete = onComplete;
+
+    /**
+     * @property {object} callbackScope - The scope to call the callbacks in.
+     */
+    this.callbackScope = callbackScope;
+
+    const eases = typeof ease === 'object' ? ease : { x: ease, y: ease, z: ease };
+
+    /**
+     * @property {object} _eases - The ease functions of the x, y and z axes.
+     * @private
+     */
+    this._eases = {
+      x: GetEaseFunction(eases.x || 'Linear'),
+      y: GetEaseFunction(eases.y || 'Linear'),
+      z: GetEaseFunction(eases.z || 'Linear')
+    };
+
+    /**
+     * @property {?object} _bodyState - The state of the physics body before the tween, restored afterwards.
+     * @private
+     */
+    this._bodyState = null;
+
+    /**
+     * @property {boolean} _fromTarget - Whether the tween starts at the position the target has when it starts.
+     * @private
+     */
+    this._fromTarget = !from;
+
+    /**
+     * @property {Phaser.Tweens.Tween} tween - The counter tween driving the IsoTween.
+     * @readonly
+     */
+    this.tween = scene.tweens.addCounter({
+      from: 0,
+      to: 1,
+      duration,
+      delay,
+      onStart: this._start,
+      onUpdate: this._update,
+      onComplete: this._complete,
+      callbackScope: this
+    });
+  }
+
+  /**
+   * Take control over the physics body of the target, and start at its position unless a start position was given.
+   *
+   * @method IsoTween#_start
+   * @private
+   */
+  _start() {
+    if (this._fromTarget) {
+      this.from.copyFrom(this.target.isoPosition);
+    }
+
+    this.isPlaying = true;
+    this._bodyState = suspendBody(this.target.body, this.physics);
+  }
+
+  /**
+   * Move the target to the position at the current progress of the tween.
+   *
+   * @method IsoTween#_update
+   * @param {Phaser.Tweens.Tween} tween - The counter tween.
+   * @private
+   */
+  _update(tween) {
+    const t = tween.getValue();
+    const { from, to, target } = this;
+
+    target.isoX = from.x + (to.x - from.x) * this._eases.x(t);
+    target.isoY = from.y + (to.y - from.y) * this._eases.y(t);
+
+    //  The hop follows the progress of the tween rather than the ease, so the arc stays symmetric
+    target.isoZ = from.z + (to.z - from.z) * this._eases.z(t) + 4 * this.hop * t * (1 - t);
+
+    if (this.onUpdate) {
+      this.onUpdate.call(this.callbackScope, target, this);
+    }
+  }
+
+  /**
+   * Put the target at the end position and hand the physics body back.
+   *
+   * @method IsoTween#_complete
+   * @private
+   */
+  _complete() {
+    const { to, target } = this;
+
+    target.isoX = to.x;
+    target.isoY = to.y;
+    target.isoZ = to.z;
+
+    this._restoreBody();
+
+    if (this.onComplete) {
+      this.onComplete.call(this.callbackScope, target, this);
+    }
+  }
+
+  /**
+   * Restore the state the physics body had before the tween.
+   *
+   * @method IsoTween#_restoreBody
+   * @private
+   */
+  _restoreBody() {
+    this.isPlaying = false;
+
+    restoreBody(this.target.body, this._bodyState);
+    this._bodyState = null;
+  }
+
+  /**
+   * Stop the tween where the target currently is and hand the physics body back.
+   *
+   * @method IsoTween#stop
+   * @return {IsoTween} This IsoTween object.
+   */
+  stop() {
+    this.tween.stop();
+    this._restoreBody();
+
+    return this;
+  }
+}
+
+export default IsoTween;
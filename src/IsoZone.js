@@ -0,0 +1,132 @@
+import IsoObject from './IsoObject';
+import Cube from './Cube';
+
+export const ISOZONE = 'IsoZone';
+const Zone = Phaser.GameObjects.Zone;
+const Point = Phaser.Geom.Point;
+
+/**
+* @class IsoZone
+*
+* @classdesc
+* Create a new `IsoZone` object. IsoZones are invisible regions in 3D space, for example to enable a physics body on and use as a trigger with `overlap`.
+* Like a Cube, the region spans from its iso position to the given widths and height. Its 2D size covers the region as it appears on the screen, so it can be used for input as well.
+* IsoZones are left out of depth sorting and picking.
+*/
+export default class IsoZone extends IsoObject(Zone) {
+  /**
+   * @constructor
+   * @extends Phaser.GameObjects.Zone
+   * @param {Phaser.Scene} scene - A reference to the current scene.
+   * @param {number} x - The x coordinate (in 3D space) of the back corner of the IsoZone.
+   * @param {number} y - The y coordinate (in 3D space) of the back corner of the IsoZone.
+   * @param {number} z - The z coordinate (in 3D space) of the bottom of the IsoZone.
+   * @param {number} widthX - The X axis width (breadth) of the IsoZone.
+   * @param {number} [widthY=widthX] - The Y axis width (depth) of the IsoZone.
+   * @param {number} [height=widthX] - The Z axis height of the IsoZone.
+   */
+  constructor(scene, x, y, z, widthX, widthY = widthX, height = widthX) {
+    super(scene, x, y, z, 1, 1);
+
+    /**
+     * @property {number} type - The const type of this object.
+     * @readonly
+     */
+    this.type = ISOZONE;
+
+    /**
+     * @property {Cube} _screenBounds - Internal cache var holding the bounds the 2D size was last fitted to.
+     * @private
+     */
+    this._screenBounds = new Cube();
+
+    /**
+     * @property {?Projection} _screenProjection - The projection the 2D size was last fitted with.
+     * @private
+     */
+    this._screenProjection = null;
+
+    /**
+     * @property {number} _screenRotation - The view rotation the 2D size was last fitted with.
+     * @private
+     */
+    this._screenRotation = -1;
+
+    /**
+     * @property {Phaser.Geom.Point} _projected - Internal cache var.
+     * @private
+     */
+    this._projected = new Point();
+
+    this.setIsoSize(widthX, widthY, height);
+    this.setIsoAnchor(0, 0, 0);
+    this._updateScreenSize();
+  }
+
+  /**
+   * Internal function that performs the axonometric projection from 3D to 2D space, and fits the 2D size to the projected region.
+   * @method IsoZone#_project
+   * @private
+   */
+  _project() {
+    const changed = this._isoPositionChanged;
+
+    super._project();
+
+    //  The size is only known once the constructor set it
+    if (changed && this._isoSize) {
+      this._updateScreenSize();
+
+      //  The hit area is relative to the origin, which only got updated now
+      if (this._isoHitShape) {
+        this._updateIsoHitArea();
+      }
+    }
+  }
+
+  /**
+   * Set the 2D size and origin of the IsoZone so that it covers the projection of its 3D bounds.
+   * @method IsoZone#_updateScreenSize
+   * @private
+   */
+  _updateScreenSize() {
+    const projector = this.scene[this.scene.sys.settings.map.isoPlugin].projector;
+    const bounds = this.isoBounds;
+    const cache = this._screenBounds;
+
+    //  Zones are projected on every frame, but most of them never move
+    if (
+      projector.projection === this._screenProjection && projector.viewRotation === this._screenRotation &&
+      bounds.x === cache.x && bounds.y === cache.y && bounds.z === cache.z &&
+      bounds.widthX === cache.widthX && bounds.widthY === cache.widthY && bounds.height === cache.height
+    ) {
+      return;
+    }
+
+    cache.copyFrom(bounds);
+    this._screenProjection = projector.projection;
+    this._screenRotation = projector.viewRotation;
+
+    const corners = bounds.getCorners();
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+
+    for (let i = 0; i < corners.length; i++) {
+      const { x, y } = projector.project(corners[i], this._projected);
+
+      minX = Math.min(minX, x);
+      minY = Math.min(minY, y);
+      maxX = Math.max(maxX, x);
+      maxY = Math.max(maxY, y);
+    }
+
+    const width = Math.max(maxX - minX, 1);
+    const height = Math.max(maxY - minY, 1);
+    const position = projector.project(this._isoPosition, this._projected);
+
+    this.setSize(width, height);
+    this.setOrigin((position.x - minX) / width, (position.y - minY) / height);
+  }
+}
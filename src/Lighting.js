@@ -0,0 +1,361 @@
+import Point3 from './Point3';
+import IsoLight from './IsoLight';
+import { ISOZONE } from './IsoZone';
+
+const Point = Phaser.Geom.Point;
+
+//  The tint getters of the corners of an image, in the order of the arguments of setTint
+const TINT_CORNERS = ['tintTopLeft', 'tintTopRight', 'tintBottomLeft', 'tintBottomRight'];
+
+/**
+ * @class Lighting
+ *
+ * @classdesc
+ * A lighting pass tinting the iso game objects of a scene by their distance in 3D space to a set of IsoLights, on top of an ambient color.
+ * By default each game object gets a single tint, taken at the center of its isoBounds. With per-corner tinting every corner of the image is tinted with the light
+ * at the corner of the isoBounds that is projected closest to it, which gives a gradient across large objects like floor tiles and walls.
+ * The light is multiplied into the tint the game gives a game object, so tints like a highlight on hover still show.
+ * Enable it with `scene.iso.lighting.enable()`.
+ */
+class Lighting {
+  /**
+   * @constructor
+   * @param {Phaser.Scene} scene - A reference to the current scene.
+   * @param {Projector} projector - The projector used to match the corners of the images with the corners of the bounds.
+   */
+  constructor(scene, projector) {
+    /**
+     * @property {Phaser.Scene} scene - A reference to the current scene.
+     */
+    this.scene = scene;
+
+    /**
+     * @property {Projector} projector - The projector used to match the corners of the images with the corners of the bounds.
+     */
+    this.projector = projector;
+
+    /**
+     * @property {boolean} enabled - Whether the lighting pass runs. Use enable() and disable() to change it.
+     * @readonly
+     */
+    this.enabled = false;
+
+    /**
+     * @property {number} ambient - The color of the light everything gets regardless of the IsoLights.
+     */
+    this.ambient = 0x404040;
+
+    /**
+     * @property {boolean} perCorner - Whether to tint every corner of an image separately.
+     */
+    this.perCorner = false;
+
+    /**
+     * @property {Array.<IsoLight>} lights - The lights of the scene.
+     * @readonly
+     */
+    this.lights = [];
+
+    /**
+     * @property {Map} _lit - The tint the game gave each game object tinted by the lighting pass and the tint last written, keyed by game object.
+     * @private
+     */
+    this._lit = new Map();
+
+    /**
+     * @property {Point3} _point - Internal cache var.
+     * @private
+     */
+    this._point = new Point3();
+
+    /**
+     * @property {Array.<number>} _cornerTints - Internal cache var holding the tints of the corners of the bounds.
+     * @private
+     */
+    this._cornerTints = [0, 0, 0, 0, 0, 0, 0, 0];
+
+    /**
+     * @property {Array.<Phaser.Geom.Point>} _projectedCorners - Internal cache var holding the projected corners of the bounds.
+     * @private
+     */
+    this._projectedCorners = [0, 1, 2, 3, 4, 5, 6, 7].map(() => new Point());
+
+    /**
+     * @property {Phaser.Geom.Point} _imageCorner - Internal cache var holding a corner of an image.
+     * @private
+     */
+    this._imageCorner = new Point();
+
+    /**
+     * @property {Array.<number>} _lights - Internal cache var holding the light at the corners of an image.
+     * @private
+     */
+    this._lights = [0, 0, 0, 0];
+  }
+
+  /**
+   * Start lighting the iso game objects of the scene after every update. Calling it again changes the configuration.
+   *
+   * @method Lighting#enable
+   * @param {object} [config] - The configuration of the lighting pass.
+   * @param {number} [config.ambient=0x404040] - The color of the light everything gets regardless of the IsoLights.
+   * @param {boolean} [config.perCorner=false] - Whether to tint every corner of an image separately.
+   * @return {Lighting} This Lighting object.
+   */
+  enable({ ambient = 0x404040, perCorner = false } = {}) {
+    this.ambient = ambient;
+    this.perCorner = perCorner;
+
+    if (!this.enabled) {
+      this.enabled = true;
+      this.scene.sys.events.on('postupdate', this.update, this);
+    }
+
+    return this;
+  }
+
+  /**
+   * Stop the lighting pass and give the game objects it lit the tint the game gave them back.
+   *
+   * @method Lighting#disable
+   * @return {Lighting} This Lighting object.
+   */
+  disable() {
+    if (this.enabled) {
+      this.enabled = false;
+      this.scene.sys.events.off('postupdate', this.update, this);
+
+      this._lit.forEach((state, gameObject) => this._restoreTint(gameObject, state));
+      this._lit.clear();
+    }
+
+    return this;
+  }
+
+  /**
+   * Create a new IsoLight and add it to the scene.
+   *
+   * @method Lighting#addLight
+   * @param {number} x - The x coordinate (in 3D space) of the light.
+   * @param {number} y - The y coordinate (in 3D space) of the light.
+   * @param {number} z - The z coordinate (in 3D space) of the light.
+   * @param {object} [config] - The configuration of the light, see IsoLight.
+   * @return {IsoLight} The new IsoLight.
+   */
+  addLight(x, y, z, config) {
+    const light = new IsoLight(x, y, z, config);
+
+    this.lights.push(light);
+
+    return light;
+  }
+
+  /**
+   * Remove an IsoLight from the scene.
+   *
+   * @method Lighting#removeLight
+   * @param {IsoLight} light - The light to remove.
+   * @return {Lighting} This Lighting object.
+   */
+  removeLight(light) {
+    const index = this.lights.indexOf(light);
+
+    if (index !== -1) {
+      this.lights.splice(index, 1);
+    }
+
+    return this;
+  }
+
+  /**
+   * Get the color of the light at a point in 3D space, made of the ambient color and the contributions of all IsoLights.
+   *
+   * @method Lighting#getColorAt
+   * @param {Point3} point - The point to light.
+   * @return {number} The color, with each channel clamped to 255.
+   */
+  getColorAt(point) {
+    let r = (this.ambient >> 16) & 0xff;
+    let g = (this.ambient >> 8) & 0xff;
+    let b = this.ambient & 0xff;
+
+    for (let i = 0; i < this.lights.length; i++) {
+      const light = this.lights[i];
+      const intensity = light.getIntensityAt(point);
+
+      if (intensity > 0) {
+        r += ((light.color >> 16) & 0xff) * intensity;
+        g += ((light.color >> 8) & 0xff) * intensity;
+        b += (light.color & 0xff) * intensity;
+      }
+    }
+
+    return (Math.min(Math.round(r), 255) << 16) | (Math.min(Math.round(g), 255) << 8) | Math.min(Math.round(b), 255);
+  }
+
+  /**
+   * Tint all iso game objects of the scene with the light at their bounds. Called automatically after every update while enabled.
+   *
+   * @method Lighting#update
+   */
+  update() {
+    const list = this.scene.sys.displayList.list;
+
+    for (let i = 0; i < list.length; i++) {
+      const gameObject = list[i];
+
+      if (!gameObject.isIsoObject || gameObject.type === ISOZONE || typeof gameObject.setTint !== 'function') {
+        continue;
+      }
+
+      if (this.perCorner) {
+        this._lightCorners(gameObject);
+      } else {
+        const bounds = gameObject.isoBounds;
+
+        this._lights.fill(this.getColorAt(this._point.setTo(bounds.centerX, bounds.centerY, bounds.centerZ)));
+      }
+
+      this._applyLights(gameObject);
+    }
+
+    //  Forget game objects that were removed from the scene
+    this._lit.forEach((state, gameObject) => {
+      if (!gameObject.scene) {
+        this._lit.delete(gameObject);
+      }
+    });
+  }
+
+  /**
+   * Multiply the lights of the corners into the tint the game gave a game object.
+   * A tint that differs from the one last written was set by the game in the meantime, and is the one the lights are multiplied into from then on.
+   *
+   * @method Lighting#_applyLights
+   * @param {IsoSprite} gameObject - The game object to tint.
+   * @private
+   */
+  _applyLights(gameObject) {
+    let state = this._lit.get(gameObject);
+
+    if (!state) {
+      state = { base: [0, 0, 0, 0], written: [-1, -1, -1, -1] };
+      this._lit.set(gameObject, state);
+    }
+
+    if (!hasTint(gameObject, state.written)) {
+      for (let i = 0; i < 4; i++) {
+        state.base[i] = gameObject[TINT_CORNERS[i]];
+      }
+    }
+
+    for (let i = 0; i < 4; i++) {
+      state.written[i] = multiplyColors(state.base[i], this._lights[i]);
+    }
+
+    gameObject.setTint(state.written[0], state.written[1], state.written[2], state.written[3]);
+  }
+
+  /**
+   * Give a game object the tint the game gave it back, unless the game changed it since it was last lit.
+   *
+   * @method Lighting#_restoreTint
+   * @param {IsoSprite} gameObject - The game object.
+   * @param {object} state - The tints of the game object.
+   * @private
+   */
+  _restoreTint(gameObject, state) {
+    if (!hasTint(gameObject, state.written)) {
+      return;
+    }
+
+    if (state.base.every(tint => tint === 0xffffff)) {
+      gameObject.clearTint();
+    } else {
+      gameObject.setTint(state.base[0], state.base[1], state.base[2], state.base[3]);
+    }
+  }
+
+  /**
+   * Get the light of every corner of the image of a game object, at the corner of its bounds that is projected closest to it.
+   *
+   * @method Lighting#_lightCorners
+   * @param {IsoSprite} gameObject - The game object to light.
+   * @private
+   */
+  _lightCorners(gameObject) {
+    const corners = gameObject.isoBounds.getCorners();
+
+    for (let i = 0; i < corners.length; i++) {
+      this._cornerTints[i] = this.getColorAt(corners[i]);
+      this.projector.project(corners[i], this._projectedCorners[i]);
+    }
+
+    this._lights[0] = this._closestTint(gameObject.getTopLeft(this._imageCorner));
+    this._lights[1] = this._closestTint(gameObject.getTopRight(this._imageCorner));
+    this._lights[2] = this._closestTint(gameObject.getBottomLeft(this._imageCorner));
+    this._lights[3] = this._closestTint(gameObject.getBottomRight(this._imageCorner));
+  }
+
+  /**
+   * Get the tint of the corner of the bounds that is projected closest to a point on the screen.
+   *
+   * @method Lighting#_closestTint
+   * @param {Phaser.Geom.Point} point - The point on the screen.
+   * @return {number} The tint.
+   * @private
+   */
+  _closestTint(point) {
+    let closest = 0;
+    let closestDistance = Infinity;
+
+    for (let i = 0; i < this._projectedCorners.length; i++) {
+      const dx = this._projectedCorners[i].x - point.x;
+      const dy = this._projectedCorners[i].y - point.y;
+      const distance = dx * dx + dy * dy;
+
+      if (distance < closestDistance) {
+        closest = i;
+        closestDistance = distance;
+      }
+    }
+
+    return this._cornerTints[closest];
+  }
+}
+
+/**
+ * Determines whether the corners of a game object have the given tints.
+ *
+ * @param {IsoSprite} gameObject - The game object.
+ * @param {Array.<number>} tints - The tints of the corners, in the order of the arguments of setTint.
+ * @return {boolean} True if all corners match.
+ * @private
+ */
+function hasTint(gameObject, tints) {
+  for (let i = 0; i < 4; i++) {
+    if (gameObject[TINT_CORNERS[i]] !== tints[i]) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Multiply two colors channel by channel, like light falling on a tinted surface.
+ *
+ * @param {number} a - The first color.
+ * @param {number} b - The second color.
+ * @return {number} The product, where white leaves the other color unchanged.
+ * @private
+ */
+function multiplyColors(a, b) {
+  const r = Math.round(((a >> 16) & 0xff) * ((b >> 16) & 0xff) / 255);
+  const g = Math.round(((a >> 8) & 0xff) * ((b >> 8) & 0xff) / 255);
+  const blue = Math.round((a & 0xff) * (b & 0xff) / 255);
+
+  return (r << 16) | (g << 8) | blue;
+}
+
+export default Lighting;
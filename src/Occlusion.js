@@ -0,0 +1,337 @@
+import { ISOZONE } from './IsoZone';
+import { setAlphaFactor, removeAlphaFactor } from './AlphaFactors';
+
+const Rectangle = Phaser.Geom.Rectangle;
+
+//  Modes
+export const FADE = 'fade';
+export const XRAY = 'xray';
+
+//  How far above the depth of the front-most occluder the silhouette is placed
+const DEPTH_OFFSET = 0.01;
+
+/**
+ * @class Occlusion
+ *
+ * @classdesc
+ * Keeps important IsoSprites, like the player character, visible when they walk behind walls or trees.
+ * An iso game object occludes an important IsoSprite when their images overlap on the screen and its isoBounds are in front of the bounds of the IsoSprite.
+ * In FADE mode the alpha of the occluders is multiplied by a factor, which composes with the alpha the game and the fog of war give them. In XRAY mode a tinted silhouette of the hidden IsoSprite is drawn on top of them.
+ * Enable it with `scene.iso.occlusion.enable()` and mark the important IsoSprites with `scene.iso.occlusion.add(sprite)`.
+ */
+class Occlusion {
+  /**
+   * @constructor
+   * @param {Phaser.Scene} scene - A reference to the current scene.
+   * @param {Projector} projector - The projector used to compare the bounds.
+   */
+  constructor(scene, projector) {
+    /**
+     * @property {Phaser.Scene} scene - A reference to the current scene.
+     */
+    this.scene = scene;
+
+    /**
+     * @property {Projector} projector - The projector used to compare the bounds.
+     */
+    this.projector = projector;
+
+    /**
+     * @property {boolean} enabled - Whether occluders are handled. Use enable() and disable() to change it.
+     * @readonly
+     */
+    this.enabled = false;
+
+    /**
+     * @property {string} mode - How hidden IsoSprites are revealed, either FADE or XRAY.
+     * @readonly
+     */
+    this.mode = FADE;
+
+    /**
+     * @property {number} fadeAlpha - The factor the alpha of occluders is multiplied by in FADE mode.
+     */
+    this.fadeAlpha = 0.4;
+
+    /**
+     * @property {number} tint - The color of the silhouettes in XRAY mode.
+     */
+    this.tint = 0xffffff;
+
+    /**
+     * @property {number} silhouetteAlpha - The alpha of the silhouettes in XRAY mode.
+     */
+    this.silhouetteAlpha = 0.5;
+
+    /**
+     * @property {Map} _targets - The state of the important IsoSprites, keyed by IsoSprite.
+     * @private
+     */
+    this._targets = new Map();
+
+    /**
+     * @property {Set} _faded - The faded occluders. Occluders are dropped from it when destroyed.
+     * @private
+     */
+    this._faded = new Set();
+
+    /**
+     * @property {Phaser.Geom.Rectangle} _targetRect - Internal cache var holding the screen bounds of an important IsoSprite.
+     * @private
+     */
+    this._targetRect = new Rectangle();
+
+    /**
+     * @property {Phaser.Geom.Rectangle} _rect - Internal cache var holding the screen bounds of a possible occluder.
+     * @private
+     */
+    this._rect = new Rectangle();
+  }
+
+  /**
+   * Start handling the occluders of the important IsoSprites after every update. Calling it again changes the mode and configuration.
+   *
+   * @method Occlusion#enable
+   * @param {object} [config] - The configuration of the occlusion handling.
+   * @param {string} [config.mode=FADE] - How hidden IsoSprites are revealed, either FADE or XRAY.
+   * @param {number} [config.fadeAlpha=0.4] - The factor the alpha of occluders is multiplied by in FADE mode.
+   * @param {number} [config.tint=0xffffff] - The color of the silhouettes in XRAY mode.
+   * @param {number} [config.silhouetteAlpha=0.5] - The alpha of the silhouettes in XRAY mode.
+   * @return {Occlusion} This Occlusion object.
+   */
+  enable({ mode = FADE, fadeAlpha = 0.4, tint = 0xffffff, silhouetteAlpha = 0.5 } = {}) {
+    this._reset();
+
+    this.mode = mode;
+    this.fadeAlpha = fadeAlpha;
+    this.tint = tint;
+    this.silhouetteAlpha = silhouetteAlpha;
+
+    if (!this.enabled) {
+      this.enabled = true;
+      this.scene.sys.events.on('postupdate', this.update, this);
+    }
+
+    return this;
+  }
+
+  /**
+   * Stop handling occluders. Faded occluders get their alpha back and the silhouettes are removed.
+   *
+   * @method Occlusion#disable
+   * @return {Occlusion} This Occlusion object.
+   */
+  disable() {
+    if (this.enabled) {
+      this.enabled = false;
+      this.scene.sys.events.off('postupdate', this.update, this);
+
+      this._reset();
+    }
+
+    return this;
+  }
+
+  /**
+   * Mark an IsoSprite as important, so it is revealed when hidden behind other iso game objects. It is unmarked automatically when destroyed.
+   *
+   * @method Occlusion#add
+   * @param {IsoSprite} sprite - The IsoSprite to mark.
+   * @return {Occlusion} This Occlusion object.
+   */
+  add(sprite) {
+    if (!this._targets.has(sprite)) {
+      this._targets.set(sprite, { occluded: false, silhouette: null });
+      sprite.once('destroy', this.remove, this);
+    }
+
+    return this;
+  }
+
+  /**
+   * Stop treating an IsoSprite as important.
+   *
+   * @method Occlusion#remove
+   * @param {IsoSprite} sprite - The IsoSprite to unmark.
+   * @return {Occlusion} This Occlusion object.
+   */
+  remove(sprite) {
+    const target = this._targets.get(sprite);
+
+    if (target) {
+      if (target.silhouette) {
+        target.silhouette.destroy();
+      }
+
+      this._targets.delete(sprite);
+      sprite.off('destroy', this.remove, this);
+    }
+
+    return this;
+  }
+
+  /**
+   * Whether an important IsoSprite was hidden behind another iso game object on the last update.
+   *
+   * @method Occlusion#isOccluded
+   * @param {IsoSprite} sprite - The important IsoSprite.
+   * @return {boolean} True if the IsoSprite is occluded.
+   */
+  isOccluded(sprite) {
+    const target = this._targets.get(sprite);
+
+    return target ? target.occluded : false;
+  }
+
+  /**
+   * Find the occluders of the important IsoSprites and fade them or show the silhouettes. Called automatically after every update while enabled.
+   * The silhouettes are placed above the depth the occluders get from the DepthSorter in the same update, so it sorts them first if it's enabled.
+   *
+   * @method Occlusion#update
+   * @param {number} [time] - The current timestamp.
+   */
+  update(time) {
+    const list = this.scene.sys.displayList.list;
+    const sorter = this.scene[this.scene.sys.settings.map.isoPlugin].sorter;
+
+    if (this.mode === XRAY && sorter.enabled) {
+      sorter.update(time);
+    }
+
+    const occluders = new Set();
+
+    this._targets.forEach((target, sprite) => {
+      let top = -Infinity;
+
+      target.occluded = false;
+
+      if (sprite.visible) {
+        sprite.getBounds(this._targetRect);
+
+        for (let i = 0; i < list.length; i++) {
+          const other = list[i];
+
+          //  Important IsoSprites are never faded, and never hide each other
+          if (!other.isIsoObject || other.type === ISOZONE || !other.visible || this._targets.has(other)) {
+            continue;
+          }
+
+          if (!Rectangle.Overlaps(this._targetRect, other.getBounds(this._rect))) {
+            continue;
+          }
+
+          if (this.projector.compareCubes(sprite.isoBounds, other.isoBounds) < 0) {
+            target.occluded = true;
+            top = Math.max(top, other.depth);
+            occluders.add(other);
+          }
+        }
+      }
+
+      if (this.mode === XRAY) {
+        this._updateSilhouette(target, sprite, top);
+      }
+    });
+
+    if (this.mode === FADE) {
+      this._fade(occluders);
+    }
+  }
+
+  /**
+   * Fade the given occluders and give the ones that stopped occluding their alpha back.
+   *
+   * @method Occlusion#_fade
+   * @param {Set} occluders - The game objects currently occluding an important IsoSprite.
+   * @private
+   */
+  _fade(occluders) {
+    this._faded.forEach(gameObject => {
+      if (!occluders.has(gameObject)) {
+        removeAlphaFactor(gameObject, this);
+        this._forget(gameObject);
+      }
+    });
+
+    //  Set on every update, so the factor applies to the alpha the game sets in the meantime
+    occluders.forEach(gameObject => {
+      if (!this._faded.has(gameObject)) {
+        this._faded.add(gameObject);
+        gameObject.once('destroy', this._forget, this);
+      }
+
+      setAlphaFactor(gameObject, this, this.fadeAlpha);
+    });
+  }
+
+  /**
+   * Stop tracking a faded occluder, without touching its alpha factor. Called automatically when a faded occluder is destroyed.
+   *
+   * @method Occlusion#_forget
+   * @param {Phaser.GameObjects.GameObject} gameObject - The faded occluder.
+   * @private
+   */
+  _forget(gameObject) {
+    this._faded.delete(gameObject);
+    gameObject.off('destroy', this._forget, this);
+  }
+
+  /**
+   * Show the silhouette of a hidden IsoSprite above its occluders, matching its current frame and transform, or hide it if the IsoSprite is not hidden.
+   *
+   * @method Occlusion#_updateSilhouette
+   * @param {object} target - The state of the important IsoSprite.
+   * @param {IsoSprite} sprite - The important IsoSprite.
+   * @param {number} top - The depth of the front-most occluder.
+   * @private
+   */
+  _updateSilhouette(target, sprite, top) {
+    if (!target.occluded) {
+      if (target.silhouette) {
+        target.silhouette.visible = false;
+      }
+
+      return;
+    }
+
+    if (!target.silhouette) {
+      target.silhouette = this.scene.add.image(0, 0, sprite.texture.key, sprite.frame.name);
+    }
+
+    target.silhouette
+      .setTexture(sprite.texture.key, sprite.frame.name)
+      .setPosition(sprite.x, sprite.y)
+      .setOrigin(sprite.originX, sprite.originY)
+      .setScale(sprite.scaleX, sprite.scaleY)
+      .setFlip(sprite.flipX, sprite.flipY)
+      .setRotation(sprite.rotation)
+      .setTintFill(this.tint)
+      .setAlpha(this.silhouetteAlpha)
+      .setDepth(top + DEPTH_OFFSET)
+      .setVisible(true);
+  }
+
+  /**
+   * Give the faded occluders their alpha back and remove the silhouettes.
+   *
+   * @method Occlusion#_reset
+   * @private
+   */
+  _reset() {
+    this._faded.forEach(gameObject => {
+      removeAlphaFactor(gameObject, this);
+      this._forget(gameObject);
+    });
+
+    this._targets.forEach(target => {
+      if (target.silhouette) {
+        target.silhouette.destroy();
+        target.silhouette = null;
+      }
+
+      target.occluded = false;
+    });
+  }
+}
+
+export default Occlusion;
@@ -0,0 +1,407 @@
+import Point3 from './Point3';
+
+//  The number of samples each segment is measured with to move along it at constant speed
+const ARC_LENGTH_DIVISIONS = 100;
+
+/**
+ * @class Curve3
+ *
+ * @classdesc
+ * Base class of the segments of a Path3. Segments are parametrised from 0 to 1 and measured by sampling, so points can be taken at a fraction of their length.
+ * @private
+ */
+class Curve3 {
+  constructor() {
+    /**
+     * @property {?Array.<number>} _lengths - The cumulative lengths of the samples, filled on first use.
+     * @private
+     */
+    this._lengths = null;
+  }
+
+  /**
+   * Get the cumulative lengths of the samples along the segment.
+   *
+   * @method Curve3#getLengths
+   * @return {Array.<number>} The lengths, starting with 0 and ending with the length of the segment.
+   */
+  getLengths() {
+    if (this._lengths === null) {
+      const previous = this.getPoint(0, new Point3());
+      const current = new Point3();
+      let sum = 0;
+
+      this._lengths = [0];
+
+      for (let i = 1; i <= ARC_LENGTH_DIVISIONS; i++) {
+        this.getPoint(i / ARC_LENGTH_DIVISIONS, current);
+        sum += Point3.distanceBetween(previous, current);
+        this._lengths.push(sum);
+        previous.copyFrom(current);
+      }
+    }
+
+    return this._lengths;
+  }
+
+  /**
+   * Get the length of the segment.
+   *
+   * @method Curve3#getLength
+   * @return {number} The length.
+   */
+  getLength() {
+    const lengths = this.getLengths();
+
+    return lengths[lengths.length - 1];
+  }
+
+  /**
+   * Get the point at the given fraction of the length of the segment.
+   *
+   * @method Curve3#getPointAt
+   * @param {number} u - The fraction of the length, between 0 and 1.
+   * @param {Point3} out - The Point3 to set the coordinates into.
+   * @return {Point3} The point.
+   */
+  getPointAt(u, out) {
+    const lengths = this.getLengths();
+    const target = u * lengths[lengths.length - 1];
+    let low = 0;
+    let high = lengths.length - 1;
+
+    //  Find the last sample that starts before the target length
+    while (low < high - 1) {
+      const middle = (low + high) >> 1;
+
+      if (lengths[middle] <= target) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+
+    const span = lengths[high] - lengths[low];
+    const fraction = span > 0 ? (target - lengths[low]) / span : 0;
+
+    return this.getPoint((low + fraction) / ARC_LENGTH_DIVISIONS, out);
+  }
+}
+
+/**
+ * @class LineCurve3
+ *
+ * @classdesc
+ * A straight segment between two points.
+ * @private
+ */
+class LineCurve3 extends Curve3 {
+  constructor(p0, p1) {
+    super();
+
+    this.p0 = p0;
+    this.p1 = p1;
+  }
+
+  getPoint(t, out) {
+    return out.setTo(
+      this.p0.x + (this.p1.x - this.p0.x) * t,
+      this.p0.y + (this.p1.y - this.p0.y) * t,
+      this.p0.z + (this.p1.z - this.p0.z) * t
+    );
+  }
+}
+
+/**
+ * @class SplineCurve3
+ *
+ * @classdesc
+ * A Catmull-Rom spline passing through all of its points.
+ * @private
+ */
+class SplineCurve3 extends Curve3 {
+  constructor(points) {
+    super();
+
+    this.points = points;
+  }
+
+  getPoint(t, out) {
+    const points = this.points;
+    const position = (points.length - 1) * t;
+    const index = Math.min(Math.floor(position), points.length - 2);
+    const weight = position - index;
+    const p0 = points[index === 0 ? index : index - 1];
+    const p1 = points[index];
+    const p2 = points[index + 1];
+    const p3 = points[index + 2 > points.length - 1 ? points.length - 1 : index + 2];
+
+    return out.setTo(
+      catmullRom(weight, p0.x, p1.x, p2.x, p3.x),
+      catmullRom(weight, p0.y, p1.y, p2.y, p3.y),
+      catmullRom(weight, p0.z, p1.z, p2.z, p3.z)
+    );
+  }
+}
+
+/**
+ * @class CubicBezierCurve3
+ *
+ * @classdesc
+ * A cubic Bezier segment with two control points.
+ * @private
+ */
+class CubicBezierCurve3 extends Curve3 {
+  constructor(p0, p1, p2, p3) {
+    super();
+
+    this.p0 = p0;
+    this.p1 = p1;
+    this.p2 = p2;
+    this.p3 = p3;
+  }
+
+  getPoint(t, out) {
+    const { p0, p1, p2, p3 } = this;
+
+    return out.setTo(
+      cubicBezier(t, p0.x, p1.x, p2.x, p3.x),
+      cubicBezier(t, p0.y, p1.y, p2.y, p3.y),
+      cubicBezier(t, p0.z, p1.z, p2.z, p3.z)
+    );
+  }
+}
+
+/**
+ * @class Path3
+ *
+ * @classdesc
+ * A path through 3D space made of straight, spline and cubic Bezier segments, each starting where the previous one ends.
+ * Points along the path are taken by the fraction of its total length, so following it with a linear progress moves at constant speed.
+ * Use `IsoSprite#startFollow` to move a game object along a Path3.
+ */
+class Path3 {
+  /**
+   * @constructor
+   * @param {number} [x=0] - The x coordinate of the start of the path.
+   * @param {number} [y=0] - The y coordinate of the start of the path.
+   * @param {number} [z=0] - The z coordinate of the start of the path.
+   */
+  constructor(x = 0, y = 0, z = 0) {
+    /**
+     * @property {Point3} startPoint - The start of the path.
+     * @readonly
+     */
+    this.startPoint = new Point3(x, y, z);
+
+    /**
+     * @property {array} curves - The segments of the path.
+     * @readonly
+     */
+    this.curves = [];
+
+    /**
+     * @property {?Array.<number>} _lengths - The cumulative lengths of the segments, or null if they have to be measured again.
+     * @private
+     */
+    this._lengths = null;
+  }
+
+  /**
+   * Get the end of the path, which is where the next segment starts.
+   *
+   * @method Path3#getEndPoint
+   * @param {Point3} [out] - The Point3 to set the coordinates into.
+   * @return {Point3} The end point.
+   */
+  getEndPoint(out = new Point3()) {
+    if (this.curves.length === 0) {
+      return out.copyFrom(this.startPoint);
+    }
+
+    return this.curves[this.curves.length - 1].getPoint(1, out);
+  }
+
+  /**
+   * Add a straight segment to the given point.
+   *
+   * @method Path3#lineTo
+   * @param {number|Point3} x - The x coordinate of the point, or the point.
+   * @param {number} [y] - The y coordinate of the point.
+   * @param {number} [z=0] - The z coordinate of the point.
+   * @return {Path3} This Path3 object.
+   */
+  lineTo(x, y, z = 0) {
+    const end = typeof x === 'object' ? new Point3(x.x, x.y, x.z) : new Point3(x, y, z);
+
+    return this._add(new LineCurve3(this.getEndPoint(), end));
+  }
+
+  /**
+   * Add a Catmull-Rom spline segment passing through the given points. Nothing is added if there are no points.
+   *
+   * @method Path3#splineTo
+   * @param {Array.<Point3>} points - The points to pass through. The last one is the new end of the path.
+   * @return {Path3} This Path3 object.
+   */
+  splineTo(points) {
+    if (points.length === 0) {
+      return this;
+    }
+
+    const copies = points.map(point => new Point3(point.x, point.y, point.z));
+
+    return this._add(new SplineCurve3([this.getEndPoint()].concat(copies)));
+  }
+
+  /**
+   * Add a cubic Bezier segment to the given point.
+   *
+   * @method Path3#cubicBezierTo
+   * @param {Point3} control1 - The first control point.
+   * @param {Point3} control2 - The second control point.
+   * @param {Point3} end - The new end of the path.
+   * @return {Path3} This Path3 object.
+   */
+  cubicBezierTo(control1, control2, end) {
+    return this._add(new CubicBezierCurve3(
+      this.getEndPoint(),
+      new Point3(control1.x, control1.y, control1.z),
+      new Point3(control2.x, control2.y, control2.z),
+      new Point3(end.x, end.y, end.z)
+    ));
+  }
+
+  /**
+   * Add a segment and forget the measured lengths.
+   *
+   * @method Path3#_add
+   * @param {Curve3} curve - The segment to add.
+   * @return {Path3} This Path3 object.
+   * @private
+   */
+  _add(curve) {
+    this.curves.push(curve);
+    this._lengths = null;
+
+    return this;
+  }
+
+  /**
+   * Get the cumulative lengths of the segments.
+   *
+   * @method Path3#getCurveLengths
+   * @return {Array.<number>} The length of the path up to the end of each segment.
+   */
+  getCurveLengths() {
+    if (this._lengths === null) {
+      let sum = 0;
+
+      this._lengths = this.curves.map(curve => {
+        sum += curve.getLength();
+
+        return sum;
+      });
+    }
+
+    return this._lengths;
+  }
+
+  /**
+   * Get the total length of the path.
+   *
+   * @method Path3#getLength
+   * @return {number} The length.
+   */
+  getLength() {
+    const lengths = this.getCurveLengths();
+
+    return lengths.length > 0 ? lengths[lengths.length - 1] : 0;
+  }
+
+  /**
+   * Get the point at the given fraction of the length of the path.
+   *
+   * @method Path3#getPoint
+   * @param {number} t - The fraction of the length, between 0 and 1.
+   * @param {Point3} [out] - The Point3 to set the coordinates into.
+   * @return {Point3} The point.
+   */
+  getPoint(t, out = new Point3()) {
+    const lengths = this.getCurveLengths();
+
+    if (lengths.length === 0) {
+      return out.copyFrom(this.startPoint);
+    }
+
+    const total = lengths[lengths.length - 1];
+    const target = Math.min(Math.max(t, 0), 1) * total;
+
+    for (let i = 0; i < lengths.length; i++) {
+      if (lengths[i] >= target) {
+        const start = i === 0 ? 0 : lengths[i - 1];
+        const length = lengths[i] - start;
+
+        return this.curves[i].getPointAt(length > 0 ? (target - start) / length : 0, out);
+      }
+    }
+
+    return this.getEndPoint(out);
+  }
+
+  /**
+   * Get evenly spaced points along the path, for example to draw it with `IsoGraphics#strokePoints3`.
+   *
+   * @method Path3#getSpacedPoints
+   * @param {number} [divisions=40] - The number of parts to divide the path into.
+   * @return {Array.<Point3>} The divisions + 1 points.
+   */
+  getSpacedPoints(divisions = 40) {
+    const points = [];
+
+    for (let i = 0; i <= divisions; i++) {
+      points.push(this.getPoint(i / divisions));
+    }
+
+    return points;
+  }
+}
+
+/**
+ * Interpolate a Catmull-Rom spline on one axis.
+ *
+ * @param {number} t - The progress between p1 and p2.
+ * @param {number} p0 - The point before p1.
+ * @param {number} p1 - The start of the section.
+ * @param {number} p2 - The end of the section.
+ * @param {number} p3 - The point after p2.
+ * @return {number} The interpolated value.
+ * @private
+ */
+function catmullRom(t, p0, p1, p2, p3) {
+  const v0 = (p2 - p0) * 0.5;
+  const v1 = (p3 - p1) * 0.5;
+  const t2 = t * t;
+  const t3 = t * t2;
+
+  return (2 * p1 - 2 * p2 + v0 + v1) * t3 + (-3 * p1 + 3 * p2 - 2 * v0 - v1) * t2 + v0 * t + p1;
+}
+
+/**
+ * Interpolate a cubic Bezier curve on one axis.
+ *
+ * @param {number} t - The progress along the curve.
+ * @param {number} p0 - The start point.
+ * @param {number} p1 - The first control point.
+ * @param {number} p2 - The second control point.
+ * @param {number} p3 - The end point.
+ * @return {number} The interpolated value.
+ * @private
+ */
+function cubicBezier(t, p0, p1, p2, p3) {
+  const k = 1 - t;
+
+  return (k * k * k * p0) + (3 * k * k * t * p1) + (3 * k * t * t * p2) + (t * t * t * p3);
+}
+
+export default Path3;
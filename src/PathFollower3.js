@@ -0,0 +1,228 @@
+import Point3 from './Point3';
+import { NONE, fromVector } from './Facing';
+import { KINEMATIC, suspendBody, restoreBody } from './IsoTween';
+
+/**
+ * @class PathFollower3
+ *
+ * @classdesc
+ * Moves an iso game object along a Path3, like Phaser's PathFollower does with a Path. The motion is driven by a counter tween, so it supports eases, yoyo and repeat,
+ * and it can be given either a duration or a speed. While following, the facing of the follower is updated from the direction it moves in, and a physics body of the game object is made kinematic or disabled.
+ * Every iso game object creates its PathFollower3 on the first call to `startFollow`.
+ */
+class PathFollower3 {
+  /**
+   * @constructor
+   * @param {IsoSprite} target - The iso game object to move.
+   */
+  constructor(target) {
+    /**
+     * @property {IsoSprite} target - The iso game object being moved.
+     */
+    this.target = target;
+
+    /**
+     * @property {?Path3} path - The path being followed.
+     * @readonly
+     */
+    this.path = null;
+
+    /**
+     * @property {?Phaser.Tweens.Tween} tween - The counter tween driving the follower.
+     * @readonly
+     */
+    this.tween = null;
+
+    /**
+     * @property {string} facing - The compass direction on the iso x/y plane the follower last moved in, one of the Facing consts. It is kept while moving only vertically.
+     * @readonly
+     */
+    this.facing = NONE;
+
+    /**
+     * @property {boolean} faceAlongPath - Whether to update the facing of the follower, and of its physics body, from the direction it moves in.
+     */
+    this.faceAlongPath = true;
+
+    /**
+     * @property {string} physics - How the physics body of the target is handled while following, either KINEMATIC or DISABLE.
+     */
+    this.physics = KINEMATIC;
+
+    /**
+     * @property {?object} _bodyState - The state of the physics body before following, restored afterwards.
+     * @private
+     */
+    this._bodyState = null;
+
+    /**
+     * @property {Point3} _point - Internal cache var holding the current point on the path.
+     * @private
+     */
+    this._point = new Point3();
+  }
+
+  /**
+   * Start following a path from its beginning. Any path followed before is stopped.
+   *
+   * @method PathFollower3#start
+   * @param {Path3} path - The path to follow.
+   * @param {object} [config] - The configuration of the motion.
+   * @param {number} [config.duration=1000] - The time to get from the start to the end in ms.
+   * @param {number} [config.speed] - The speed in units per second, used instead of the duration if given.
+   * @param {number} [config.from=0] - The fraction of the path to start at.
+   * @param {number} [config.to=1] - The fraction of the path to end at.
+   * @param {string|function} [config.ease='Linear'] - The ease of the motion.
+   * @param {number} [config.delay=0] - The delay before the motion starts in ms.
+   * @param {boolean} [config.yoyo=false] - Whether to move back to the start after reaching the end.
+   * @param {number} [config.repeat=0] - The number of times to repeat the motion, or -1 to repeat forever.
+   * @param {boolean} [config.faceAlongPath=true] - Whether to update the facing from the direction of motion.
+   * @param {string} [config.physics=KINEMATIC] - How to handle the physics body of the target, either KINEMATIC or DISABLE.
+   * @param {function} [config.onComplete] - Called with the target when the motion completed.
+   * @param {object} [config.callbackScope] - The scope to call the callback in.
+   * @return {PathFollower3} This PathFollower3 object.
+   */
+  start(path, {
+    duration = 1000,
+    speed,
+    from = 0,
+    to = 1,
+    ease = 'Linear',
+    delay = 0,
+    yoyo = false,
+    repeat = 0,
+    faceAlongPath = true,
+    physics = KINEMATIC,
+    onComplete = null,
+    callbackScope = null
+  } = {}) {
+    this.stop();
+
+    this.path = path;
+    this.faceAlongPath = faceAlongPath;
+    this.physics = physics;
+
+    if (typeof speed !== 'undefined') {
+      duration = (path.getLength() * Math.abs(to - from) / speed) * 1000;
+    }
+
+    this._bodyState = suspendBody(this.target.body, physics);
+    this._moveTo(from);
+
+    this.tween = this.target.scene.tweens.addCounter({
+      from,
+      to,
+      duration,
+      ease,
+      delay,
+      yoyo,
+      repeat,
+      onUpdate: tween => this._moveTo(tween.getValue()),
+      onComplete: () => {
+        this._finish();
+
+        if (onComplete) {
+          onComplete.call(callbackScope, this.target);
+        }
+      }
+    });
+
+    return this;
+  }
+
+  /**
+   * Pause following the path.
+   *
+   * @method PathFollower3#pause
+   * @return {PathFollower3} This PathFollower3 object.
+   */
+  pause() {
+    if (this.tween) {
+      this.tween.pause();
+    }
+
+    return this;
+  }
+
+  /**
+   * Resume following the path after it was paused.
+   *
+   * @method PathFollower3#resume
+   * @return {PathFollower3} This PathFollower3 object.
+   */
+  resume() {
+    if (this.tween) {
+      this.tween.resume();
+    }
+
+    return this;
+  }
+
+  /**
+   * Stop following the path, leaving the target where it is.
+   *
+   * @method PathFollower3#stop
+   * @return {PathFollower3} This PathFollower3 object.
+   */
+  stop() {
+    if (this.tween) {
+      this.tween.stop();
+      this._finish();
+    }
+
+    return this;
+  }
+
+  /**
+   * Whether the target is currently following a path, including while paused.
+   *
+   * @method PathFollower3#isFollowing
+   * @return {boolean} True if following a path.
+   */
+  isFollowing() {
+    return this.tween !== null;
+  }
+
+  /**
+   * Move the target to the point at the given fraction of the path and update the facing.
+   *
+   * @method PathFollower3#_moveTo
+   * @param {number} t - The fraction of the path.
+   * @private
+   */
+  _moveTo(t) {
+    const target = this.target;
+    const point = this.path.getPoint(t, this._point);
+
+    if (this.faceAlongPath) {
+      const facing = fromVector(point.x - target.isoX, point.y - target.isoY);
+
+      if (facing !== NONE) {
+        this.facing = facing;
+
+        if (target.body) {
+          target.body.direction = facing;
+        }
+      }
+    }
+
+    target.isoX = point.x;
+    target.isoY = point.y;
+    target.isoZ = point.z;
+  }
+
+  /**
+   * Forget the tween and hand the physics body back.
+   *
+   * @method PathFollower3#_finish
+   * @private
+   */
+  _finish() {
+    restoreBody(this.target.body, this._bodyState);
+
+    this._bodyState = null;
+    this.tween = null;
+  }
+}
+
+export default PathFollower3;
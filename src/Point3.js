@@ -86,6 +86,8 @@ class Point3 {
     this.x = x || 0;
     this.y = y || ((y !== 0) ? this.x : 0);
     this.z = z || ((typeof y === 'undefined') ? this.x : 0);
+
+    return this;
   }
 
   /**
@@ -251,6 +253,22 @@ class Point3 {
   static equals(a, b) {
     return (a.x === b.x && a.y === b.y && a.z === b.z);
   }
+
+  /**
+   * Returns the euclidian distance between the two given Point3 objects.
+   *
+   * @method Point3.distanceBetween
+   * @param {Point3} a - The first Point3 object.
+   * @param {Point3} b - The second Point3 object.
+   * @return {number} The distance between the two Point3 objects.
+   */
+  static distanceBetween(a, b) {
+    const dx = a.x - b.x;
+    const dy = a.y - b.y;
+    const dz = a.z - b.z;
+
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+  }
 }
 
 export default Point3;
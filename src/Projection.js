@@ -0,0 +1,151 @@
+import Point3 from './Point3';
+
+const Point = Phaser.Geom.Point;
+
+/**
+ * @class Projection
+ *
+ * @classdesc
+ * Describes a parallel projection of 3D space to the screen by the 2D screen vectors the x, y and z axes are mapped to.
+ * Use the static factories to create axonometric (isometric, dimetric and trimetric), oblique (cavalier and cabinet) or top-down orthographic projections.
+ */
+class Projection {
+  /**
+   * @constructor
+   * @param {Phaser.Geom.Point} xAxis - The screen vector one unit on the x axis is projected to.
+   * @param {Phaser.Geom.Point} yAxis - The screen vector one unit on the y axis is projected to.
+   * @param {Phaser.Geom.Point} zAxis - The screen vector one unit on the z axis is projected to.
+   */
+  constructor(xAxis, yAxis, zAxis) {
+    /**
+     * @property {Phaser.Geom.Point} xAxis - The screen vector one unit on the x axis is projected to.
+     * @readonly
+     */
+    this.xAxis = xAxis;
+
+    /**
+     * @property {Phaser.Geom.Point} yAxis - The screen vector one unit on the y axis is projected to.
+     * @readonly
+     */
+    this.yAxis = yAxis;
+
+    /**
+     * @property {Phaser.Geom.Point} zAxis - The screen vector one unit on the z axis is projected to.
+     * @readonly
+     */
+    this.zAxis = zAxis;
+
+    const determinant = (xAxis.x * yAxis.y) - (yAxis.x * xAxis.y);
+
+    if (determinant === 0) {
+      throw new Error('Projection: the x and y axes must not be projected onto the same line');
+    }
+
+    /**
+     * @property {array} _inverse - The pre-calculated inverse of the x/y part of the projection.
+     * @private
+     */
+    this._inverse = [yAxis.y / determinant, -yAxis.x / determinant, -xAxis.y / determinant, xAxis.x / determinant];
+
+    //  Points further down the screen on the ground plane are closer to the viewer, normalised so that the classic projections give x + y
+    const ground = (Math.abs(xAxis.y) + Math.abs(yAxis.y)) * 0.5;
+
+    /**
+     * @property {Point3} depthWeights - The weights of the x, y and z coordinates in the depth value. A positive weight means larger coordinates on that axis are closer to the viewer.
+     * @readonly
+     */
+    this.depthWeights = new Point3(xAxis.y / ground, yAxis.y / ground, 0);
+
+    //  Height outweighs a step on the ground along either axis by as much as in the classic projections, so objects standing on a tile draw over the tiles behind them
+    this.depthWeights.z = Math.max(Math.abs(this.depthWeights.x), Math.abs(this.depthWeights.y)) * 1.25;
+  }
+
+  /**
+   * Use this projection to transform x, y and z coordinates into screen coordinates, relative to the projection origin.
+   * @method Projection#project
+   * @param {number} x - The x coordinate to project.
+   * @param {number} y - The y coordinate to project.
+   * @param {number} z - The z coordinate to project.
+   * @param {Phaser.Geom.Point} out - The Point to project to.
+   * @return {Phaser.Geom.Point} The transformed Point.
+   */
+  project(x, y, z, out) {
+    out.x = (x * this.xAxis.x) + (y * this.yAxis.x) + (z * this.zAxis.x);
+    out.y = (x * this.xAxis.y) + (y * this.yAxis.y) + (z * this.zAxis.y);
+
+    return out;
+  }
+
+  /**
+   * Use the inverse of this projection to transform screen coordinates, relative to the projection origin, into x and y coordinates on the given z-plane.
+   * @method Projection#unproject
+   * @param {number} x - The screen x coordinate.
+   * @param {number} y - The screen y coordinate.
+   * @param {number} z - The z-plane to project to.
+   * @param {Phaser.Geom.Point} out - The Point to set the x and y coordinates into.
+   * @return {Phaser.Geom.Point} The transformed Point.
+   */
+  unproject(x, y, z, out) {
+    x -= z * this.zAxis.x;
+    y -= z * this.zAxis.y;
+
+    return out.setTo(
+      (x * this._inverse[0]) + (y * this._inverse[1]),
+      (x * this._inverse[2]) + (y * this._inverse[3])
+    );
+  }
+
+  /**
+   * Calculate the depth value of the given coordinates, so that points closer to the viewer get a higher depth.
+   * @method Projection#getDepth
+   * @param {number} x - The x coordinate.
+   * @param {number} y - The y coordinate.
+   * @param {number} z - The z coordinate.
+   * @return {number} The depth value.
+   */
+  getDepth(x, y, z) {
+    return (x * this.depthWeights.x) + (y * this.depthWeights.y) + (z * this.depthWeights.z);
+  }
+
+  /**
+   * Create an axonometric projection. If both angles are equal it is dimetric (or isometric for an angle of 30°), otherwise trimetric.
+   * @method Projection.axonometric
+   * @param {number} angleX - The angle between the x axis and the screen horizontal in radians.
+   * @param {number} [angleY=angleX] - The angle between the y axis and the screen horizontal in radians.
+   * @return {Projection} The new Projection.
+   */
+  static axonometric(angleX, angleY = angleX) {
+    return new Projection(
+      new Point(Math.cos(angleX), Math.sin(angleX)),
+      new Point(-Math.cos(angleY), Math.sin(angleY)),
+      new Point(0, -1)
+    );
+  }
+
+  /**
+   * Create an oblique projection, where the x and z axes are shown undistorted and the y axis recedes towards the viewer at the given angle.
+   * A depth scale of 1 gives a cavalier projection and 0.5 a cabinet projection.
+   * @method Projection.oblique
+   * @param {number} [angle=Math.PI / 4] - The angle between the receding y axis and the screen horizontal in radians.
+   * @param {number} [depthScale=0.5] - The scale applied to lengths along the y axis.
+   * @return {Projection} The new Projection.
+   */
+  static oblique(angle = Math.PI / 4, depthScale = 0.5) {
+    return new Projection(
+      new Point(1, 0),
+      new Point(-Math.cos(angle) * depthScale, Math.sin(angle) * depthScale),
+      new Point(0, -1)
+    );
+  }
+
+  /**
+   * Create a top-down orthographic projection, where the x and y axes map to the screen axes and height is not visible.
+   * @method Projection.topDown
+   * @return {Projection} The new Projection.
+   */
+  static topDown() {
+    return new Projection(new Point(1, 0), new Point(0, 1), new Point(0, 0));
+  }
+}
+
+export default Projection;
@@ -1,5 +1,7 @@
 import Point3 from './Point3';
+import Projection from './Projection';
 const Point = Phaser.Geom.Point;
+const EventEmitter = Phaser.Events.EventEmitter;
 
 //  Projection angles
 export const CLASSIC = Math.atan(0.5);
@@ -11,60 +13,233 @@ export const MILITARY = Math.PI / 4;
  *
  * @classdesc
  * Creates a new Isometric Projector object, which has helpers for projecting x, y and z coordinates into axonometric x and y equivalents.
+ * The Projector emits a `rotate` event with the new and the previous view rotation whenever the view is rotated,
+ * and a `projectionchange` event with the new Projection whenever the projection is changed.
  */
-class Projector {
+class Projector extends EventEmitter {
   /**
   * @constructor
   * @param {Phaser.Game} game - The current game object.
-  * @param {number} projectionAngle - The angle of the axonometric projection in radians. Defaults to approx. 0.4636476 (Math.atan(0.5) which is suitable for 2:1 pixel art dimetric)
+  * @param {number|Projection} projectionAngle - The angle of the axonometric projection in radians, or a Projection describing any other projection. Defaults to approx. 0.4636476 (Math.atan(0.5) which is suitable for 2:1 pixel art dimetric)
   * @return {Cube} This Cube object.
   */
   constructor(scene, projectionAngle) {
+    super();
+
     /**
      * @property {Phaser.Scene} scne - The current scene object.
      */
     this.scene = scene;
 
     /**
-     * @property {array} _transform - The pre-calculated axonometric transformation values.
+     * @property {Projection} _projection - The cached description of the projection.
      * @private
      */
-    this._transform = null;
+    this._projection = null;
 
     /**
-     * @property {number} _projectionAngle - The cached angle of projection in radians.
+     * @property {number} _projectionAngle - The cached angle of projection in radians, NaN while the projection was set some other way.
      * @private
      */
-    this._projectionAngle = 0;
+    this._projectionAngle = NaN;
+
+    if (projectionAngle instanceof Projection) {
+      this.projection = projectionAngle;
+    } else {
+      /**
+       * @property {number} projectionAngle - The angle of projection in radians.
+       * @default
+       */
+      this.projectionAngle = projectionAngle || CLASSIC;
+    }
 
     /**
-     * @property {number} projectionAngle - The angle of projection in radians.
+     * @property {Phaser.Geom.Point} origin - The x and y offset multipliers as a ratio of the game world size.
      * @default
      */
-    this.projectionAngle = projectionAngle || CLASSIC;
+    this.origin = new Point(0.5, 0.5);
 
     /**
-     * @property {Phaser.Geom.Point} origin - The x and y offset multipliers as a ratio of the game world size.
+     * @property {Phaser.Geom.Point} _worldPoint - Internal cache var used when converting camera coordinates.
+     * @private
+     */
+    this._worldPoint = new Point();
+
+    /**
+     * @property {number} _viewRotation - The cached number of quarter turns the view is rotated by.
+     * @private
+     */
+    this._viewRotation = 0;
+
+    /**
+     * @property {Phaser.Geom.Point} pivot - The x and y coordinates (in 3D space) the view is rotated around.
      * @default
      */
-    this.origin = new Point(0.5, 0.5);
+    this.pivot = new Point(0, 0);
+
+    /**
+     * @property {Phaser.Geom.Point} _rotated - Internal cache var holding the rotated x and y coordinates.
+     * @private
+     */
+    this._rotated = new Point();
   }
 
   /**
+   * The number of clockwise quarter turns (0 to 3) the view is rotated by around the pivot, which lets you show the world from the N, E, S and W.
+   * Changing it emits a `rotate` event on the Projector.
+   *
+   * @name Projector#viewRotation
+   * @property {number} viewRotation - The number of clockwise quarter turns the view is rotated by.
+   */
+  set viewRotation(rotation) {
+    rotation = ((Math.round(rotation) % 4) + 4) % 4;
+
+    if (rotation === this._viewRotation) { return; }
+
+    const previous = this._viewRotation;
+    this._viewRotation = rotation;
+
+    this.emit('rotate', rotation, previous);
+  }
+
+  get viewRotation() {
+    return this._viewRotation;
+  }
+
+  /**
+   * Setting the angle switches to a symmetric axonometric projection with that angle. It is NaN while a projection was set with the projection property.
+   *
    * @name Projector#projectionAngle
    * @property {number} projectionAngle - The angle of axonometric projection.
    */
   set projectionAngle(angle) {
     if (angle === this._projectionAngle) { return; }
 
+    this.projection = Projection.axonometric(angle);
     this._projectionAngle = angle;
-    this._transform = [Math.cos(this._projectionAngle), Math.sin(this._projectionAngle)];
   }
 
   get projectionAngle() {
     return this._projectionAngle;
   }
 
+  /**
+   * The description of the projection in use. Use it to switch between axonometric, oblique and top-down views of the same world.
+   * Changing it emits a `projectionchange` event on the Projector.
+   *
+   * @name Projector#projection
+   * @property {Projection} projection - The description of the projection.
+   */
+  set projection(projection) {
+    if (projection === this._projection) { return; }
+
+    this._projection = projection;
+    this._projectionAngle = NaN;
+
+    this.emit('projectionchange', projection);
+  }
+
+  get projection() {
+    return this._projection;
+  }
+
+  /**
+   * Rotate the view by the given number of clockwise quarter turns.
+   * @method Projector#rotate
+   * @param {number} [steps=1] - The number of quarter turns to rotate the view by. Negative values rotate counter-clockwise.
+   * @return {Projector} This Projector object.
+   */
+  rotate(steps = 1) {
+    this.viewRotation = this._viewRotation + steps;
+
+    return this;
+  }
+
+  /**
+   * Rotate the x and y coordinates around the pivot by the given number of quarter turns.
+   * @method Projector#_rotateXY
+   * @param {number} x - The x coordinate to rotate.
+   * @param {number} y - The y coordinate to rotate.
+   * @param {number} rotation - The number of clockwise quarter turns, between 0 and 3.
+   * @return {Phaser.Geom.Point} The internal cache Point holding the rotated coordinates.
+   * @private
+   */
+  _rotateXY(x, y, rotation) {
+    const dx = x - this.pivot.x;
+    const dy = y - this.pivot.y;
+
+    switch (rotation) {
+    case 1:
+      return this._rotated.setTo(this.pivot.x - dy, this.pivot.y + dx);
+    case 2:
+      return this._rotated.setTo(this.pivot.x - dx, this.pivot.y - dy);
+    case 3:
+      return this._rotated.setTo(this.pivot.x + dy, this.pivot.y - dx);
+    default:
+      return this._rotated.setTo(x, y);
+    }
+  }
+
+  /**
+   * Calculate the depth value of a 3D Point3 coordinate for the current view, so that points closer to the viewer get a higher depth.
+   * @method Projector#getDepth
+   * @param {Point3} point3 - The Point3 to get the depth of.
+   * @return {number} The depth value.
+   */
+  getDepth(point3) {
+    const { x, y } = this._rotateXY(point3.x, point3.y, this._viewRotation);
+
+    return this._projection.getDepth(x, y, point3.z);
+  }
+
+  /**
+   * Compare two Cubes to find out which of them has to be drawn first in the current view. Only meaningful for Cubes that do not intersect and overlap on the screen.
+   * @method Projector#compareCubes
+   * @param {Cube} a - The first Cube.
+   * @param {Cube} b - The second Cube.
+   * @return {number} A negative value if `a` is behind `b`, a positive value if `a` is in front of `b` and 0 if there is no separating axis.
+   */
+  compareCubes(a, b) {
+    const weights = this._projection.depthWeights;
+    const rangesA = this._getViewRanges(a);
+    const rangesB = this._getViewRanges(b);
+    const axisWeights = [weights.x, weights.y, weights.z];
+
+    for (let i = 0; i < 3; i++) {
+      if (axisWeights[i] === 0) {
+        continue;
+      }
+
+      if (rangesA[i * 2 + 1] <= rangesB[i * 2]) {
+        return axisWeights[i] > 0 ? -1 : 1;
+      } else if (rangesB[i * 2 + 1] <= rangesA[i * 2]) {
+        return axisWeights[i] > 0 ? 1 : -1;
+      }
+    }
+
+    return 0;
+  }
+
+  /**
+   * Get the extent of a Cube on each axis after rotating it into view space, where its min and max corners may swap on the x and y axes.
+   * @method Projector#_getViewRanges
+   * @param {Cube} cube - The Cube to get the ranges of.
+   * @return {array} The min and max values on the x, y and z axes.
+   * @private
+   */
+  _getViewRanges(cube) {
+    const back = this._rotateXY(cube.x, cube.y, this._viewRotation);
+    const backX = back.x;
+    const backY = back.y;
+    const front = this._rotateXY(cube.frontX, cube.frontY, this._viewRotation);
+
+    return [
+      Math.min(backX, front.x), Math.max(backX, front.x),
+      Math.min(backY, front.y), Math.max(backY, front.y),
+      cube.z, cube.top
+    ];
+  }
+
   /**
    * Use axonometric projection to transform a 3D Point3 coordinate to a 2D Point coordinate. If given the coordinates will be set into the object, otherwise a brand new Point object will be created and returned.
    * @method Projector#project
@@ -73,8 +248,9 @@ class Projector {
    * @return {Phaser.Geom.Point} The transformed Point.
    */
   project(point3, out = new Point()) {
-    out.x = (point3.x - point3.y) * this._transform[0];
-    out.y = ((point3.x + point3.y) * this._transform[1]) - point3.z;
+    const { x, y } = this._rotateXY(point3.x, point3.y, this._viewRotation);
+
+    this._projection.project(x, y, point3.z, out);
 
     const { width, height } = this.scene.sys.game.config;
     out.x += width * this.origin.x;
@@ -83,6 +259,20 @@ class Projector {
     return out;
   }
 
+  /**
+   * Transform a 3D direction or velocity into the direction it has on the screen in the current view. Unlike project, the projection origin and the view pivot are not applied.
+   * @method Projector#projectVector
+   * @param {Point3} vector - The Point3 holding the vector to project.
+   * @param {Phaser.Geom.Point} out - The Point to project to.
+   * @return {Phaser.Geom.Point} The transformed Point.
+   */
+  projectVector(vector, out = new Point()) {
+    //  Rotating around the pivot and taking it off again rotates the vector around the origin
+    const { x, y } = this._rotateXY(vector.x + this.pivot.x, vector.y + this.pivot.y, this._viewRotation);
+
+    return this._projection.project(x - this.pivot.x, y - this.pivot.y, vector.z, out);
+  }
+
   /**
    * Use axonometric projection to transform a 3D Point3 coordinate to a 2D Point coordinate, ignoring the z-axis. If given the coordinates will be set into the object, otherwise a brand new Point object will be created and returned.
    * @method Projector#projectXY
@@ -91,33 +281,55 @@ class Projector {
    * @return {Phaser.Geom.Point} The transformed Point.
    */
   projectXY(point3, out = new Point()) {
-    out.x = (point3.x - point3.y) * this._transform[0];
-    out.y = (point3.x + point3.y) * this._transform[1];
+    const { x, y } = this._rotateXY(point3.x, point3.y, this._viewRotation);
+
+    this._projection.project(x, y, 0, out);
 
-    out.x += this.game.world.width * this.origin.x;
-    out.y += this.game.world.height * this.origin.y;
+    const { width, height } = this.scene.sys.game.config;
+    out.x += width * this.origin.x;
+    out.y += height * this.origin.y;
 
     return out;
   }
 
   /**
    * Use reverse axonometric projection to transform a 2D Point coordinate to a 3D Point3 coordinate. If given the coordinates will be set into the object, otherwise a brand new Point3 object will be created and returned.
+   * If a camera is given the point is treated as a screen coordinate and converted into world space first, taking the camera's scroll, zoom and rotation into account.
    * @method Projector#unproject
    * @param {Phaser.Geom.Point} point - The Point to project from.
    * @param {Point3} out - The Point3 to project to.
    * @param {number} [z] - Specified z-plane to project to.
+   * @param {Phaser.Cameras.Scene2D.Camera} [camera] - The camera the point was captured through.
    * @return {Point3} The transformed Point3.
    */
-  unproject(point, out = new Point3(), z = 0) {
-    const x = point.x - this.game.world.x - (this.game.world.width * this.origin.x);
-    const y = point.y - this.game.world.y - (this.game.world.height * this.origin.y) + z;
+  unproject(point, out = new Point3(), z = 0, camera) {
+    if (camera) {
+      point = camera.getWorldPoint(point.x, point.y, this._worldPoint);
+    }
+
+    const { width, height } = this.scene.sys.game.config;
+    const { x, y } = this._projection.unproject(point.x - (width * this.origin.x), point.y - (height * this.origin.y), z, this._rotated);
+    const rotated = this._rotateXY(x, y, (4 - this._viewRotation) % 4);
 
-    out.x = x / (2 * this._transform[0]) + y / (2 * this._transform[1]);
-    out.y = -(x / (2 * this._transform[0])) + y / (2 * this._transform[1]);
+    out.x = rotated.x;
+    out.y = rotated.y;
     out.z = z;
 
     return out;
   }
+
+  /**
+   * Transform the screen position of a Pointer to a 3D Point3 coordinate on the given z-plane. Handy for click-to-move, tile hovering or placing objects on a scrolled or zoomed view.
+   * @method Projector#pointerToIso
+   * @param {Phaser.Input.Pointer} pointer - The Pointer to project from.
+   * @param {number} [z=0] - Specified z-plane to project to.
+   * @param {Phaser.Cameras.Scene2D.Camera} [camera] - The camera to project through. Defaults to the camera the Pointer was last processed by, or the main camera of the scene.
+   * @param {Point3} [out] - The Point3 to project to.
+   * @return {Point3} The transformed Point3.
+   */
+  pointerToIso(pointer, z = 0, camera = pointer.camera || this.scene.cameras.main, out = new Point3()) {
+    return this.unproject(pointer, out, z, camera);
+  }
 }
 
 export default Projector;
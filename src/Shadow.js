@@ -0,0 +1,273 @@
+import Point3 from './Point3';
+import Cube from './Cube';
+import { ISOZONE } from './IsoZone';
+
+const Point = Phaser.Geom.Point;
+
+//  How far above the depth of the surface the shadow is placed, small enough to stay below anything in front of it
+const DEPTH_OFFSET = 0.01;
+
+/**
+ * @class Shadow
+ *
+ * @classdesc
+ * A shadow cast straight down by an IsoSprite onto the highest surface below it, which is either the top of a physics body or the floor of the world.
+ * The shadow is an ellipse covering the footprint of the IsoSprite, or a texture stretched over it, and gets smaller and fainter the higher the IsoSprite is above the surface.
+ * Shadows are created with `IsoSprite#enableShadow` and updated by their IsoSprite. While the DepthSorter is enabled, it sorts them by their footprint on the surface.
+ */
+class Shadow {
+  /**
+   * @constructor
+   * @param {IsoSprite} sprite - The IsoSprite casting the shadow.
+   * @param {object} [config] - The configuration of the shadow.
+   * @param {string} [config.texture] - The key of a texture to use instead of an ellipse.
+   * @param {string|number} [config.frame] - The frame of the texture.
+   * @param {number} [config.color=0x000000] - The color of the ellipse.
+   * @param {number} [config.alpha=0.4] - The alpha of the shadow when the IsoSprite touches the surface.
+   * @param {number} [config.maxHeight=200] - The height above the surface at which the shadow reaches its minimum scale and alpha.
+   * @param {number} [config.minScale=0.5] - The scale of the shadow at maxHeight.
+   * @param {number} [config.minAlpha=0] - The share of the alpha left at maxHeight.
+   * @param {number} [config.floor=0] - The z coordinate of the world floor.
+   * @param {boolean} [config.bodies=true] - Whether the shadow can fall onto the physics bodies of other IsoSprites.
+   */
+  constructor(sprite, {
+    texture,
+    frame,
+    color = 0x000000,
+    alpha = 0.4,
+    maxHeight = 200,
+    minScale = 0.5,
+    minAlpha = 0,
+    floor = 0,
+    bodies = true
+  } = {}) {
+    /**
+     * @property {IsoSprite} sprite - The IsoSprite casting the shadow.
+     */
+    this.sprite = sprite;
+
+    /**
+     * @property {number} color - The color of the ellipse.
+     */
+    this.color = color;
+
+    /**
+     * @property {number} alpha - The alpha of the shadow when the IsoSprite touches the surface.
+     */
+    this.alpha = alpha;
+
+    /**
+     * @property {number} maxHeight - The height above the surface at which the shadow reaches its minimum scale and alpha.
+     */
+    this.maxHeight = maxHeight;
+
+    /**
+     * @property {number} minScale - The scale of the shadow at maxHeight.
+     */
+    this.minScale = minScale;
+
+    /**
+     * @property {number} minAlpha - The share of the alpha left at maxHeight.
+     */
+    this.minAlpha = minAlpha;
+
+    /**
+     * @property {number} floor - The z coordinate of the world floor.
+     */
+    this.floor = floor;
+
+    /**
+     * @property {boolean} bodies - Whether the shadow can fall onto the physics bodies of other IsoSprites.
+     */
+    this.bodies = bodies;
+
+    /**
+     * @property {?IsoSprite} surface - The IsoSprite whose body the shadow currently lies on, or null if it lies on the floor.
+     * @readonly
+     */
+    this.surface = null;
+
+    /**
+     * @property {number} surfaceZ - The z coordinate of the surface the shadow currently lies on.
+     * @readonly
+     */
+    this.surfaceZ = floor;
+
+    /**
+     * @property {Phaser.GameObjects.Image|Phaser.GameObjects.Graphics} display - The game object drawing the shadow.
+     * @readonly
+     */
+    this.display = typeof texture === 'undefined' ? sprite.scene.add.graphics() : sprite.scene.add.image(0, 0, texture, frame);
+
+    /**
+     * @property {Cube} bounds - The footprint of the shadow on the surface, with no height, which the DepthSorter sorts it by.
+     * @readonly
+     */
+    this.bounds = new Cube();
+
+    /**
+     * @property {number} _width - The width of the ellipse last drawn.
+     * @private
+     */
+    this._width = 0;
+
+    /**
+     * @property {number} _height - The height of the ellipse last drawn.
+     * @private
+     */
+    this._height = 0;
+
+    /**
+     * @property {Point3} _point - Internal cache var.
+     * @private
+     */
+    this._point = new Point3();
+
+    /**
+     * @property {Phaser.Geom.Point} _projected - Internal cache var.
+     * @private
+     */
+    this._projected = new Point();
+
+    /**
+     * @property {Phaser.Geom.Point} _xAxis - Internal cache var holding the x axis of the footprint on the screen.
+     * @private
+     */
+    this._xAxis = new Point();
+
+    /**
+     * @property {Phaser.Geom.Point} _yAxis - Internal cache var holding the y axis of the footprint on the screen.
+     * @private
+     */
+    this._yAxis = new Point();
+
+    /**
+     * @property {Cube} _column - Internal cache var holding the region below the IsoSprite searched for bodies.
+     * @private
+     */
+    this._column = new Cube();
+
+    sprite.scene[sprite.scene.sys.settings.map.isoPlugin].sorter.add(this.display, this.bounds);
+  }
+
+  /**
+   * Find the highest surface below the IsoSprite and move, scale and fade the shadow onto it. Called by the IsoSprite on every update.
+   *
+   * @method Shadow#update
+   */
+  update() {
+    const sprite = this.sprite;
+    const bounds = sprite.body ? sprite.body : sprite.isoBounds;
+    const centerX = bounds.x + bounds.widthX * 0.5;
+    const centerY = bounds.y + bounds.widthY * 0.5;
+
+    this._findSurface(centerX, centerY, bounds.z);
+
+    const { projector, sorter } = sprite.scene[sprite.scene.sys.settings.map.isoPlugin];
+    const ratio = Math.min(Math.max((bounds.z - this.surfaceZ) / this.maxHeight, 0), 1);
+    const scale = 1 - ratio * (1 - this.minScale);
+
+    //  The ellipse covers the footprint of the bounds as it appears on the screen
+    const xAxis = projector.projectVector(this._point.setTo(bounds.widthX, 0, 0), this._xAxis);
+    const yAxis = projector.projectVector(this._point.setTo(0, bounds.widthY, 0), this._yAxis);
+    const width = Math.abs(xAxis.x) + Math.abs(yAxis.x);
+    const height = Math.abs(xAxis.y) + Math.abs(yAxis.y);
+
+    const position = projector.project(this._point.setTo(centerX, centerY, this.surfaceZ), this._projected);
+    const display = this.display;
+
+    display.setPosition(position.x, position.y);
+    display.setVisible(sprite.visible);
+    display.setAlpha(this.alpha * (1 - ratio * (1 - this.minAlpha)));
+
+    this.bounds.setTo(
+      centerX - bounds.widthX * scale * 0.5,
+      centerY - bounds.widthY * scale * 0.5,
+      this.surfaceZ,
+      bounds.widthX * scale,
+      bounds.widthY * scale,
+      0
+    );
+
+    //  The depth sorter takes care of the depth when it's enabled, sorting the bounds along with the IsoSprites after this update
+    if (!sorter.enabled) {
+      if (this.surface) {
+        display.setDepth(this.surface.depth + DEPTH_OFFSET);
+      } else {
+        //  On the floor the shadow is sorted by its own footprint, so an airborne sprite doesn't lift it over the objects in front of the landing spot, but it stays below the sprite
+        display.setDepth(Math.min(projector.getDepth(this._point) + DEPTH_OFFSET, sprite.depth - DEPTH_OFFSET));
+      }
+    }
+
+    if (display.type === 'Graphics') {
+      if (width !== this._width || height !== this._height) {
+        this._width = width;
+        this._height = height;
+
+        display.clear();
+        display.fillStyle(this.color);
+        display.fillEllipse(0, 0, width, height);
+      }
+
+      display.setScale(scale);
+    } else {
+      display.setDisplaySize(width * scale, height * scale);
+    }
+  }
+
+  /**
+   * Find the highest top of a physics body below the given point that is not above the given z coordinate, falling back to the floor.
+   * Only the bodies the physics world finds in the column below the point are checked.
+   *
+   * @method Shadow#_findSurface
+   * @param {number} x - The x coordinate to look below.
+   * @param {number} y - The y coordinate to look below.
+   * @param {number} z - The z coordinate to look below.
+   * @private
+   */
+  _findSurface(x, y, z) {
+    this.surface = null;
+    this.surfaceZ = this.floor;
+
+    const physics = this.sprite.scene[this.sprite.scene.sys.settings.map.isoPhysics];
+
+    if (!this.bodies || !physics || z <= this.floor) {
+      return;
+    }
+
+    const bodies = physics.world.queryBodies(this._column.setTo(x, y, this.floor, 0, 0, z - this.floor));
+
+    for (let i = 0; i < bodies.length; i++) {
+      const body = bodies[i];
+      const other = body.sprite;
+
+      if (other === this.sprite || other.type === ISOZONE || !body.enable) {
+        continue;
+      }
+
+      const top = body.top;
+
+      if (top > z || top <= this.surfaceZ) {
+        continue;
+      }
+
+      if (x >= body.x && x <= body.frontX && y >= body.y && y <= body.frontY) {
+        this.surface = other;
+        this.surfaceZ = top;
+      }
+    }
+  }
+
+  /**
+   * Destroy the game object drawing the shadow.
+   *
+   * @method Shadow#destroy
+   */
+  destroy() {
+    this.sprite.scene[this.sprite.scene.sys.settings.map.isoPlugin].sorter.remove(this.display);
+    this.display.destroy();
+    this.sprite = null;
+  }
+}
+
+export default Shadow;
@@ -0,0 +1,327 @@
+import Point3 from './Point3';
+
+//  The bits Tiled stores the flipping of a tile in, on top of its gid, the last one only used by hexagonal maps
+const FLIPPED_HORIZONTALLY = 0x80000000;
+const FLIPPED_VERTICALLY = 0x40000000;
+const FLIPPED_DIAGONALLY = 0x20000000;
+const ROTATED_HEXAGONAL_120 = 0x10000000;
+const GID_MASK = 0x0fffffff;
+
+//  Tile and object properties copied onto physics bodies as they are
+const BODY_FLAGS = ['immovable', 'allowGravity', 'moves', 'collideWorldBounds', 'mass'];
+
+//  Tile and object properties applied to all three axes of a Point3 of physics bodies
+const BODY_VECTORS = ['bounce', 'drag', 'maxVelocity'];
+
+//  Settings of physics bodies not set by properties, making walls and props static
+const BODY_DEFAULTS = { immovable: true, allowGravity: false, moves: false };
+
+/**
+ * Create iso game objects from a map made in Tiled with isometric orientation, so its tiles depth sort with the other iso game objects of the scene.
+ *
+ * Every tile of a tile layer becomes an IsoSprite filling its cell, using the spritesheet named after its tileset, with the frame of the tile.
+ * The size of a cell on the x and y axes is derived from the tile width and the current projection. The horizontal offset of a layer
+ * moves it along the x and y axes and the vertical offset is turned into its isoZ, unless the layer has an `isoZ` property. Tile objects of object layers become IsoSprites as well, other objects become IsoZones, with an `isoZ` and `isoHeight` taken from their properties.
+ *
+ * Tiles flipped horizontally or vertically are flipped along with their IsoSprite, while tiles flipped diagonally or rotated are not supported, as their image no longer stands on its cell.
+ * Tile layers have to be stored in the CSV layer format, as base64 encoded and compressed layers are not supported.
+ *
+ * Tiles and objects with a `collides` property, or any of the `immovable`, `allowGravity`, `moves`, `collideWorldBounds`, `mass`, `bounce`, `drag` and `maxVelocity` properties get a physics body with these settings.
+ * Bodies are static unless the properties say otherwise, being immovable, without gravity and not moving.
+ * The properties of objects, as well as their type, are stored in the data of the game objects they become.
+ *
+ * @function createFromTiled
+ * @param {Phaser.Scene} scene - The scene to add the game objects to.
+ * @param {object} map - The parsed JSON of the map.
+ * @param {object} [config] - The configuration of the loader.
+ * @param {object} [config.tilesets] - The texture key to use for each tileset, keyed by tileset name. Tilesets not listed use their name as texture key.
+ * @param {number} [config.cellSize] - The size of a cell on the x and y axes, derived from the tile width by default.
+ * @param {Phaser.GameObjects.Group} [config.group] - A group to add the game objects of the tiles and objects to.
+ * @return {object} The `cellSize`, the IsoSprites of every tile layer in `layers` and the game objects of every object layer in `objects`, both keyed by layer name.
+ */
+export default function createFromTiled(scene, map, { tilesets = {}, cellSize, group } = {}) {
+  if (map.orientation !== 'isometric') {
+    throw new Error(`Tiled maps have to use isometric orientation, not ${map.orientation}`);
+  }
+
+  const projector = scene[scene.sys.settings.map.isoPlugin].projector;
+  const xAxis = projector.projectVector(new Point3(1, 0, 0));
+  const yAxis = projector.projectVector(new Point3(0, 1, 0));
+  const zAxis = projector.projectVector(new Point3(0, 0, 1));
+
+  const context = {
+    scene,
+    map,
+    tilesets,
+    group,
+    cellSize: typeof cellSize === 'undefined' ? map.tilewidth / Math.abs(xAxis.x - yAxis.x) : cellSize,
+    zUnit: Math.abs(zAxis.y),
+    layers: {},
+    objects: {}
+  };
+
+  flattenLayers(map.layers, 0, 0).forEach(({ layer, offsetX, offsetY }) => {
+    const properties = getProperties(layer);
+    const z = typeof properties.isoZ === 'undefined' ? -offsetY / context.zUnit : properties.isoZ;
+
+    //  Moving along x and against y by the same amount shifts a layer horizontally on the screen
+    const shift = offsetX / map.tilewidth * context.cellSize;
+
+    if (layer.type === 'tilelayer') {
+      context.layers[layer.name] = createTiles(context, layer, shift, z);
+    } else if (layer.type === 'objectgroup') {
+      context.objects[layer.name] = layer.objects.map(object => createObject(context, object, shift, z, layer));
+    }
+  });
+
+  return { cellSize: context.cellSize, layers: context.layers, objects: context.objects };
+}
+
+/**
+ * Flatten the layers of a map, including the ones inside group layers, adding up their offsets.
+ *
+ * @param {Array.<object>} layers - The layers to flatten.
+ * @param {number} offsetX - The horizontal offset of the parent of the layers.
+ * @param {number} offsetY - The vertical offset of the parent of the layers.
+ * @return {Array.<object>} The layers with their total offsets.
+ * @private
+ */
+function flattenLayers(layers, offsetX, offsetY) {
+  return layers.reduce((flat, layer) => {
+    const x = offsetX + (layer.offsetx || 0);
+    const y = offsetY + (layer.offsety || 0);
+
+    if (layer.type === 'group') {
+      return flat.concat(flattenLayers(layer.layers, x, y));
+    }
+
+    return flat.concat([{ layer, offsetX: x, offsetY: y }]);
+  }, []);
+}
+
+/**
+ * Create the IsoSprites of the tiles of a tile layer, which is either finite or made of chunks.
+ *
+ * @param {object} context - The state of the loader.
+ * @param {object} layer - The tile layer.
+ * @param {number} shift - The distance the layer is moved along the x axis and against the y axis.
+ * @param {number} z - The isoZ of the layer.
+ * @return {Array.<IsoSprite>} The IsoSprites.
+ * @private
+ */
+function createTiles(context, layer, shift, z) {
+  const chunks = layer.chunks || [{ x: 0, y: 0, width: layer.width, height: layer.height, data: layer.data }];
+  const sprites = [];
+
+  if ((layer.encoding && layer.encoding !== 'csv') || layer.compression) {
+    const compression = layer.compression ? ` with ${layer.compression} compression` : '';
+
+    throw new Error(`Tile layer ${layer.name} uses ${layer.encoding} encoding${compression}, which is not supported, export the map with CSV layer format instead`);
+  }
+
+  chunks.forEach(chunk => {
+    for (let i = 0; i < chunk.data.length; i++) {
+      const gid = chunk.data[i];
+
+      if (gid === 0) {
+        continue;
+      }
+
+      const column = chunk.x + (i % chunk.width);
+      const row = chunk.y + Math.floor(i / chunk.width);
+      const sprite = createTileSprite(context, gid, column * context.cellSize + shift, row * context.cellSize - shift, z, context.group);
+
+      sprite.setAlpha(layer.opacity);
+      sprite.setVisible(layer.visible);
+
+      sprites.push(sprite);
+    }
+  });
+
+  return sprites;
+}
+
+/**
+ * Create the game object of an object of an object layer.
+ *
+ * @param {object} context - The state of the loader.
+ * @param {object} object - The object.
+ * @param {number} shift - The distance the layer is moved along the x axis and against the y axis.
+ * @param {number} z - The isoZ of the layer.
+ * @param {object} layer - The object layer.
+ * @return {IsoSprite|IsoZone} The game object.
+ * @private
+ */
+function createObject(context, object, shift, z, layer) {
+  const { scene, map, cellSize, group } = context;
+  const properties = getProperties(object);
+  const isoZ = typeof properties.isoZ === 'undefined' ? z : properties.isoZ;
+
+  //  Objects on isometric maps are positioned in pixels along the axes, with the tile height being one cell
+  const x = object.x / map.tileheight * cellSize + shift;
+  const y = object.y / map.tileheight * cellSize - shift;
+  let gameObject;
+
+  if (typeof object.gid === 'undefined') {
+    const widthX = object.width / map.tileheight * cellSize;
+    const widthY = object.height / map.tileheight * cellSize;
+    const height = typeof properties.isoHeight === 'undefined' ? cellSize : properties.isoHeight;
+
+    gameObject = scene.add.isoZone(x, y, isoZ, widthX, widthY, height);
+
+    if (typeof group !== 'undefined') {
+      group.add(gameObject);
+    }
+  } else {
+    //  Tile objects stand with the front corner of their cell on their position
+    gameObject = createTileSprite(context, object.gid, x - cellSize, y - cellSize, isoZ, group);
+    gameObject.setVisible(object.visible && layer.visible);
+    gameObject.setAlpha(layer.opacity);
+  }
+
+  gameObject.name = object.name;
+  gameObject.setData('type', object.type);
+
+  Object.keys(properties).forEach(name => gameObject.setData(name, properties[name]));
+
+  applyBodyProperties(scene, gameObject, properties);
+
+  return gameObject;
+}
+
+/**
+ * Create an IsoSprite for a tile, filling the cell with the given back corner and standing on its bottom like Tiled draws it.
+ *
+ * @param {object} context - The state of the loader.
+ * @param {number} gid - The global id of the tile, including the flipping bits.
+ * @param {number} x - The x coordinate of the back corner of the cell.
+ * @param {number} y - The y coordinate of the back corner of the cell.
+ * @param {number} z - The z coordinate of the bottom of the cell.
+ * @param {Phaser.GameObjects.Group} [group] - A group to add the IsoSprite to.
+ * @return {IsoSprite} The IsoSprite.
+ * @private
+ */
+function createTileSprite(context, gid, x, y, z, group) {
+  const { scene, map, cellSize, zUnit } = context;
+  const id = gid & GID_MASK;
+
+  if ((gid & (FLIPPED_DIAGONALLY | ROTATED_HEXAGONAL_120)) !== 0) {
+    throw new Error(`Tile ${id} is flipped diagonally or rotated, which is not supported, only flip tiles horizontally or vertically`);
+  }
+
+  const tileset = getTileset(map, id);
+  const key = context.tilesets[tileset.name] || tileset.name;
+  const sprite = scene.add.isoSprite(x + cellSize, y + cellSize, z, key, group, id - tileset.firstgid);
+
+  //  The image is anchored at the front corner of the cell, and anything above the tile diamond is height
+  sprite.setOrigin(0.5, 1);
+  sprite.setIsoAnchor(1, 1, 0);
+  sprite.setIsoSize(cellSize, cellSize, Math.max(sprite.height - map.tileheight, 0) / zUnit);
+  sprite.flipX = (gid & FLIPPED_HORIZONTALLY) !== 0;
+  sprite.flipY = (gid & FLIPPED_VERTICALLY) !== 0;
+
+  applyBodyProperties(scene, sprite, getTileProperties(tileset, id - tileset.firstgid));
+
+  return sprite;
+}
+
+/**
+ * Find the tileset a tile belongs to.
+ *
+ * @param {object} map - The map.
+ * @param {number} id - The global id of the tile, without the flipping bits.
+ * @return {object} The tileset.
+ * @private
+ */
+function getTileset(map, id) {
+  let tileset = null;
+
+  for (let i = 0; i < map.tilesets.length; i++) {
+    if (map.tilesets[i].firstgid <= id && (tileset === null || map.tilesets[i].firstgid > tileset.firstgid)) {
+      tileset = map.tilesets[i];
+    }
+  }
+
+  if (tileset === null || typeof tileset.source !== 'undefined') {
+    throw new Error(`No embedded tileset found for tile ${id}, embed the tilesets in the map`);
+  }
+
+  return tileset;
+}
+
+/**
+ * Get the properties of a tile of a tileset, which are either stored in a list of tiles or, in older versions of Tiled, in an object keyed by tile id.
+ *
+ * @param {object} tileset - The tileset.
+ * @param {number} index - The id of the tile within the tileset.
+ * @return {object} The properties, keyed by name.
+ * @private
+ */
+function getTileProperties(tileset, index) {
+  if (Array.isArray(tileset.tiles)) {
+    const tile = tileset.tiles.find(candidate => candidate.id === index);
+
+    return tile ? getProperties(tile) : {};
+  }
+
+  if (tileset.tileproperties && tileset.tileproperties[index]) {
+    return tileset.tileproperties[index];
+  }
+
+  return {};
+}
+
+/**
+ * Get the custom properties of a layer, object or tile, which are either a list of named values or, in older versions of Tiled, an object.
+ *
+ * @param {object} owner - The layer, object or tile.
+ * @return {object} The properties, keyed by name.
+ * @private
+ */
+function getProperties(owner) {
+  if (Array.isArray(owner.properties)) {
+    return owner.properties.reduce((properties, property) => {
+      properties[property.name] = property.value;
+
+      return properties;
+    }, {});
+  }
+
+  return owner.properties || {};
+}
+
+/**
+ * Give a game object a physics body configured by its properties, if any of them asks for one.
+ *
+ * @param {Phaser.Scene} scene - The scene of the game object.
+ * @param {IsoSprite|IsoZone} gameObject - The game object.
+ * @param {object} properties - The properties of its tile or object.
+ * @private
+ */
+function applyBodyProperties(scene, gameObject, properties) {
+  const names = BODY_FLAGS.concat(BODY_VECTORS).filter(name => typeof properties[name] !== 'undefined');
+
+  if (!properties.collides && names.length === 0) {
+    return;
+  }
+
+  const physics = scene[scene.sys.settings.map.isoPhysics];
+
+  if (!physics) {
+    throw new Error('Tiled properties ask for physics bodies, but the IsoPhysics plugin is not installed in the scene');
+  }
+
+  physics.world.enableBody(gameObject);
+
+  Object.keys(BODY_DEFAULTS).forEach(name => {
+    gameObject.body[name] = BODY_DEFAULTS[name];
+  });
+
+  names.forEach(name => {
+    if (BODY_VECTORS.indexOf(name) !== -1) {
+      gameObject.body[name].setTo(properties[name], properties[name], properties[name]);
+    } else {
+      gameObject.body[name] = properties[name];
+    }
+  });
+}
@@ -1,5 +1,6 @@
 import Point3 from '../Point3';
 import Cube from '../Cube';
+import { NONE, fromVector } from '../Facing';
 
 const UP = 0;
 const DOWN = 1;
@@ -77,38 +78,41 @@ export default class Body {
      */
     this.preRotation = sprite.rotation;
 
+    //  An explicit size set on the IsoSprite takes precedence over the one derived from the texture
+    const isoSize = sprite.isoSize;
+
     /**
      * @property {number} sourceWidthX - The un-scaled original size.
      * @readonly
      */
-    this.sourceWidthX = sprite.width / sprite.scaleX;
+    this.sourceWidthX = isoSize ? isoSize.x : sprite.width / sprite.scaleX;
 
     /**
      * @property {number} sourceWidthY - The un-scaled original size.
      * @readonly
      */
-    this.sourceWidthY = sprite.width / sprite.scaleX;
+    this.sourceWidthY = isoSize ? isoSize.y : sprite.width / sprite.scaleX;
 
     /**
      * @property {number} sourceHeight - The un-scaled original size.
      * @readonly
      */
-    this.sourceHeight = sprite.height / sprite.scaleY;
+    this.sourceHeight = isoSize ? isoSize.z : sprite.height / sprite.scaleY;
 
     /**
      * @property {number} widthX - The calculated X width (breadth) of the physics body.
      */
-    this.widthX = Math.ceil(sprite.width * 0.5);
+    this.widthX = isoSize ? isoSize.x * Math.abs(sprite.scaleX) : Math.ceil(sprite.width * 0.5);
 
     /**
      * @property {number} widthY - The calculated Y width (depth) of the physics body.
      */
-    this.widthY = Math.ceil(sprite.width * 0.5);
+    this.widthY = isoSize ? isoSize.y * Math.abs(sprite.scaleX) : Math.ceil(sprite.width * 0.5);
 
     /**
      * @property {number} height - The calculated height of the physics body.
      */
-    this.height = sprite.height - Math.ceil(sprite.width * 0.5);
+    this.height = isoSize ? isoSize.z * Math.abs(sprite.scaleY) : sprite.height - Math.ceil(sprite.width * 0.5);
 
     /**
      * @property {number} halfWidthX - The calculated X width / 2 of the physics body.
@@ -226,6 +230,12 @@ export default class Body {
      */
     this.facing = Phaser.NONE;
 
+    /**
+     * @property {string} direction - The compass direction on the iso x/y plane the Body is traveling or facing, one of the Facing consts. It is kept while the Body moves only vertically or stands still.
+     * @default
+     */
+    this.direction = NONE;
+
     /**
      * @property {boolean} immovable - An immovable Body will not receive any impacts from other bodies.
      * @default
@@ -426,9 +436,18 @@ export default class Body {
     var asy = Math.abs(this.sprite.scaleY);
 
     if (asx !== this._sx || asy !== this._sy) {
-      this.widthX = Math.ceil(this.sprite.width * 0.5);
-      this.widthY = Math.ceil(this.sprite.width * 0.5);
-      this.height = Math.ceil(this.sprite.height - (this.sprite.width * 0.5));
+      const isoSize = this.sprite.isoSize;
+
+      if (isoSize) {
+        this.widthX = isoSize.x * asx;
+        this.widthY = isoSize.y * asx;
+        this.height = isoSize.z * asy;
+      } else {
+        this.widthX = Math.ceil(this.sprite.width * 0.5);
+        this.widthY = Math.ceil(this.sprite.width * 0.5);
+        this.height = Math.ceil(this.sprite.height - (this.sprite.width * 0.5));
+      }
+
       this.halfWidthX = Math.floor(this.widthX * 0.5);
       this.halfWidthY = Math.floor(this.widthY * 0.5);
       this.halfHeight = Math.floor(this.height * 0.5);
@@ -440,6 +459,30 @@ export default class Body {
     }
   }
 
+  /**
+   * Internal method that positions the Body relative to the given IsoSprite position, using the anchor of the IsoSprite if it has one, or else its origin.
+   *
+   * @method Body#_setPositionFromSprite
+   * @param {number} x - The x position of the IsoSprite.
+   * @param {number} y - The y position of the IsoSprite.
+   * @param {number} z - The z position of the IsoSprite.
+   * @private
+   */
+  _setPositionFromSprite(x, y, z) {
+    const isoAnchor = this.sprite.isoAnchor;
+
+    if (isoAnchor) {
+      this.position.x = x - (this.widthX * isoAnchor.x) + this.offset.x;
+      this.position.y = y - (this.widthY * isoAnchor.y) + this.offset.y;
+      this.position.z = z - (this.height * isoAnchor.z) + this.offset.z;
+    } else {
+      //  Working out how to incorporate anchors into this was... fun.
+      this.position.x = x + ((this.widthX * -this.sprite.originX) + this.widthX * 0.5) + this.offset.x;
+      this.position.y = y + ((this.widthY * this.sprite.originX) - this.widthY * 0.5) + this.offset.y;
+      this.position.z = z - (Math.abs(this.sprite.height) * (1 - this.sprite.originY)) + (Math.abs(this.sprite.width * 0.5)) + this.offset.z;
+    }
+  }
+
   /**
    * Internal method.
    *
@@ -479,11 +522,7 @@ export default class Body {
 
     this.updateBounds();
 
-    //  Working out how to incorporate anchors into this was... fun.
-    this.position.x = this.sprite.isoX + ((this.widthX * -this.sprite.originX) + this.widthX * 0.5) + this.offset.x;
-    this.position.y = this.sprite.isoY + ((this.widthY * this.sprite.originX) - this.widthY * 0.5) + this.offset.y;
-    this.position.z = this.sprite.isoZ - (Math.abs(this.sprite.height) * (1 - this.sprite.originY)) + (Math.abs(this.sprite.width * 0.5)) + this.offset.z;
-
+    this._setPositionFromSprite(this.sprite.isoX, this.sprite.isoY, this.sprite.isoZ);
 
     this.rotation = this.sprite.angle;
 
@@ -570,6 +609,12 @@ export default class Body {
       }
     }
 
+    const direction = fromVector(this.deltaX(), this.deltaY());
+
+    if (direction !== NONE) {
+      this.direction = direction;
+    }
+
     if (this.moves) {
       this._dx = this.deltaX();
       this._dy = this.deltaY();
@@ -720,9 +765,7 @@ export default class Body {
     this.angularVelocity = 0;
     this.angularAcceleration = 0;
 
-    this.position.x = x + ((this.widthX * -this.sprite.anchor.x) + this.widthX * 0.5) + this.offset.x;
-    this.position.y = y + ((this.widthY * this.sprite.anchor.x) - this.widthY * 0.5) + this.offset.y;
-    this.position.z = z - (Math.abs(this.sprite.height) * (1 - this.sprite.anchor.y)) + (Math.abs(this.sprite.width * 0.5)) + this.offset.z;
+    this._setPositionFromSprite(x, y, z);
 
     this.prev.x = this.position.x;
     this.prev.y = this.position.y;
@@ -753,10 +796,10 @@ export default class Body {
   }
 
   /**
-   * Returns true if the bottom of this Body is in contact with either the world bounds.
+   * Returns true if the bottom of this Body is in contact with either the world bounds or a cell of a TileLayer, including standing on a ramp.
    *
    * @method Body#onFloor
-   * @return {boolean} True if in contact with either the world bounds.
+   * @return {boolean} True if in contact with either the world bounds or a cell.
    */
   onFloor() {
     return this.blocked.down;
@@ -97,8 +97,7 @@ export default class IsoPhysics {
    */
   distanceToPointer(displayObjectBody, pointer) {
     pointer = pointer || this.scene.input.activePointer;
-    var isoPointer = this.projector.unproject(pointer.position, undefined, displayObjectBody.z);
-    isoPointer.z = displayObjectBody.z;
+    var isoPointer = this.projector.pointerToIso(pointer, displayObjectBody.z);
     var a = this.anglesToXYZ(displayObjectBody, isoPointer.x, isoPointer.y, isoPointer.z);
 
     return a.r;
@@ -134,8 +133,7 @@ export default class IsoPhysics {
    */
   angleToPointer(displayObjectBody, pointer) {
     pointer = pointer || this.scene.input.activePointer;
-    var isoPointer = this.projector.unproject(pointer.position, undefined, displayObjectBody.z);
-    isoPointer.z = displayObjectBody.z;
+    var isoPointer = this.projector.pointerToIso(pointer, displayObjectBody.z);
     var a = this.anglesToXYZ(displayObjectBody, isoPointer.x, isoPointer.y, isoPointer.z);
 
     return a.theta;
@@ -266,9 +264,8 @@ export default class IsoPhysics {
    * @return {number} The angle (in radians).
    */
   moveToPointer(displayObject, speed, pointer, maxTime) {
-    pointer = pointer || this.game.input.activePointer;
-    var isoPointer = this.game.iso.unproject(pointer.position,undefined,displayObject.body.z);
-    isoPointer.z = displayObject.body.z;
+    pointer = pointer || this.scene.input.activePointer;
+    var isoPointer = this.projector.pointerToIso(pointer, displayObject.body.z);
 
     if (typeof speed === 'undefined') {
       speed = 60;
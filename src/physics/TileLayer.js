@@ -0,0 +1,478 @@
+import Point3 from '../Point3';
+
+//  Cell states
+export const EMPTY = 0;
+export const SOLID = 1;
+export const ONE_WAY = 2;
+
+//  Ramps, named after the side they rise to
+export const RAMP_FRONT_X = 3;
+export const RAMP_BACK_X = 4;
+export const RAMP_FRONT_Y = 5;
+export const RAMP_BACK_Y = 6;
+
+//  The face of each ramp that is as high as the cell, which blocks like the face of a solid cell
+const HIGH_SIDES = {
+  [RAMP_FRONT_X]: 'frontX',
+  [RAMP_BACK_X]: 'backX',
+  [RAMP_FRONT_Y]: 'frontY',
+  [RAMP_BACK_Y]: 'backY'
+};
+
+/**
+ * @class TileLayer
+ *
+ * @classdesc
+ * A 3D grid of solid, one-way, ramp and empty cells that bodies collide against, without an IsoSprite and Body for every wall cube.
+ * Pass it to `World.collide` or `World.overlap` in place of an IsoSprite or Group. Solid cells block bodies from all sides,
+ * one-way cells only stop bodies landing on them from above, like platforms that can be jumped through.
+ *
+ * Ramps rise from the bottom of the cell on one side to its top on the opposite side, RAMP_FRONT_X rising along +x, RAMP_BACK_X along -x, RAMP_FRONT_Y along +y and RAMP_BACK_Y along -y.
+ * Bodies walking onto a ramp follow its surface, see `World.separateRamp`. Its other sides block bodies like the faces of a solid cell.
+ *
+ * The faces a solid cell shares with another solid cell are not collided against, so bodies sliding along a floor or wall made of many cells never snag on the seams between them.
+ * Create TileLayers with `world.createTileLayer(data, config)`.
+ */
+export default class TileLayer {
+  /**
+   * @constructor
+   * @param {Array.<Array.<Array.<number>>>} data - The state of every cell, as an array of levels along the z axis from the bottom up, each holding rows along the y axis, each holding the cells along the x axis.
+   * @param {object} [config] - The configuration of the TileLayer.
+   * @param {number} [config.x=0] - The x coordinate (in 3D space) of the back corner of the cell at 0, 0, 0.
+   * @param {number} [config.y=0] - The y coordinate (in 3D space) of the back corner of the cell at 0, 0, 0.
+   * @param {number} [config.z=0] - The z coordinate (in 3D space) of the bottom of the lowest level.
+   * @param {number} [config.cellSize=38] - The size of a cell on the x and y axes.
+   * @param {number} [config.cellHeight=cellSize] - The size of a cell on the z axis.
+   */
+  constructor(data, { x = 0, y = 0, z = 0, cellSize = 38, cellHeight = cellSize } = {}) {
+    /**
+     * @property {Point3} origin - The back corner of the bottom of the cell at 0, 0, 0.
+     * @readonly
+     */
+    this.origin = new Point3(x, y, z);
+
+    /**
+     * @property {number} cellSize - The size of a cell on the x and y axes.
+     * @readonly
+     */
+    this.cellSize = cellSize;
+
+    /**
+     * @property {number} cellHeight - The size of a cell on the z axis.
+     * @readonly
+     */
+    this.cellHeight = cellHeight;
+
+    /**
+     * @property {number} levels - The number of cells along the z axis.
+     * @readonly
+     */
+    this.levels = data.length;
+
+    /**
+     * @property {number} rows - The number of cells along the y axis.
+     * @readonly
+     */
+    this.rows = data.length > 0 ? data[0].length : 0;
+
+    /**
+     * @property {number} columns - The number of cells along the x axis.
+     * @readonly
+     */
+    this.columns = this.rows > 0 ? data[0][0].length : 0;
+
+    /**
+     * @property {Array.<Array.<Array.<number>>>} data - A copy of the state of every cell. Use setCell to change it.
+     * @readonly
+     */
+    this.data = data.map(level => level.map(row => row.slice()));
+
+    /**
+     * @property {Array.<Tile>} _tiles - Internal cache of the Tiles of the cells that have been collided against, by cell index.
+     * @private
+     */
+    this._tiles = [];
+  }
+
+  /**
+   * Get the state of a cell.
+   *
+   * @method TileLayer#getCell
+   * @param {number} column - The column of the cell, along the x axis.
+   * @param {number} row - The row of the cell, along the y axis.
+   * @param {number} level - The level of the cell, along the z axis.
+   * @return {number} The state of the cell, EMPTY for cells outside the TileLayer.
+   */
+  getCell(column, row, level) {
+    if (column < 0 || row < 0 || level < 0 || column >= this.columns || row >= this.rows || level >= this.levels) {
+      return EMPTY;
+    }
+
+    return this.data[level][row][column];
+  }
+
+  /**
+   * Get the state of the cell containing a point.
+   *
+   * @method TileLayer#getCellAt
+   * @param {number} x - The x coordinate (in 3D space) of the point.
+   * @param {number} y - The y coordinate (in 3D space) of the point.
+   * @param {number} z - The z coordinate (in 3D space) of the point.
+   * @return {number} The state of the cell, EMPTY for points outside the TileLayer.
+   */
+  getCellAt(x, y, z) {
+    const { origin, cellSize, cellHeight } = this;
+
+    return this.getCell(
+      Math.floor((x - origin.x) / cellSize),
+      Math.floor((y - origin.y) / cellSize),
+      Math.floor((z - origin.z) / cellHeight)
+    );
+  }
+
+  /**
+   * Change the state of a cell, updating which faces of it and its neighbours are collided against.
+   *
+   * @method TileLayer#setCell
+   * @param {number} column - The column of the cell, along the x axis.
+   * @param {number} row - The row of the cell, along the y axis.
+   * @param {number} level - The level of the cell, along the z axis.
+   * @param {number} state - The new state, EMPTY, SOLID, ONE_WAY or one of the ramps.
+   * @return {TileLayer} This TileLayer object.
+   */
+  setCell(column, row, level, state) {
+    if (column < 0 || row < 0 || level < 0 || column >= this.columns || row >= this.rows || level >= this.levels) {
+      return this;
+    }
+
+    this.data[level][row][column] = state;
+
+    this._tiles[this._getIndex(column, row, level)] = undefined;
+    this._updateFaces(column - 1, row, level);
+    this._updateFaces(column + 1, row, level);
+    this._updateFaces(column, row - 1, level);
+    this._updateFaces(column, row + 1, level);
+    this._updateFaces(column, row, level - 1);
+    this._updateFaces(column, row, level + 1);
+
+    return this;
+  }
+
+  /**
+   * Get the Tiles of the non-empty cells overlapping a body. Used by `World.collide` and `World.overlap`.
+   *
+   * @method TileLayer#getTilesWithin
+   * @param {Body} body - The body.
+   * @return {Array.<Tile>} The Tiles, from the bottom up.
+   */
+  getTilesWithin(body) {
+    const { origin, cellSize, cellHeight } = this;
+    const tiles = [];
+
+    //  A body touching the edge of a cell doesn't overlap it, so the last cell is the one before the far edge
+    const firstColumn = Math.max(Math.floor((body.x - origin.x) / cellSize), 0);
+    const lastColumn = Math.min(Math.ceil((body.frontX - origin.x) / cellSize) - 1, this.columns - 1);
+    const firstRow = Math.max(Math.floor((body.y - origin.y) / cellSize), 0);
+    const lastRow = Math.min(Math.ceil((body.frontY - origin.y) / cellSize) - 1, this.rows - 1);
+    const firstLevel = Math.max(Math.floor((body.z - origin.z) / cellHeight), 0);
+    const lastLevel = Math.min(Math.ceil((body.top - origin.z) / cellHeight) - 1, this.levels - 1);
+
+    for (let level = firstLevel; level <= lastLevel; level++) {
+      for (let row = firstRow; row <= lastRow; row++) {
+        for (let column = firstColumn; column <= lastColumn; column++) {
+          if (this.data[level][row][column] !== EMPTY) {
+            tiles.push(this._getTile(column, row, level));
+          }
+        }
+      }
+    }
+
+    return tiles;
+  }
+
+  /**
+   * Get the Tile of a non-empty cell, creating it the first time it is needed.
+   *
+   * @method TileLayer#_getTile
+   * @param {number} column - The column of the cell, along the x axis.
+   * @param {number} row - The row of the cell, along the y axis.
+   * @param {number} level - The level of the cell, along the z axis.
+   * @return {Tile} The Tile.
+   * @private
+   */
+  _getTile(column, row, level) {
+    const index = this._getIndex(column, row, level);
+
+    if (!this._tiles[index]) {
+      this._tiles[index] = new Tile(this, column, row, level);
+      this._updateFaces(column, row, level);
+    }
+
+    return this._tiles[index];
+  }
+
+  /**
+   * Update which faces of the Tile of a cell are collided against from the states of its neighbours, if the cell has a Tile yet.
+   *
+   * @method TileLayer#_updateFaces
+   * @param {number} column - The column of the cell, along the x axis.
+   * @param {number} row - The row of the cell, along the y axis.
+   * @param {number} level - The level of the cell, along the z axis.
+   * @private
+   */
+  _updateFaces(column, row, level) {
+    if (this.getCell(column, row, level) === EMPTY) {
+      return;
+    }
+
+    const tile = this._tiles[this._getIndex(column, row, level)];
+
+    if (!tile) {
+      return;
+    }
+
+    //  One-way cells only have a top face, the top of a ramp is its surface instead
+    const sides = tile.state !== ONE_WAY;
+    const { checkCollision } = tile;
+
+    checkCollision.backX = sides && !this._isFaceSolid(column - 1, row, level, 'frontX');
+    checkCollision.frontX = sides && !this._isFaceSolid(column + 1, row, level, 'backX');
+    checkCollision.backY = sides && !this._isFaceSolid(column, row - 1, level, 'frontY');
+    checkCollision.frontY = sides && !this._isFaceSolid(column, row + 1, level, 'backY');
+
+    //  World.separateZ checks the down flag of the lower body and the up flag of the upper one, so down stands for the top face of a cell
+    checkCollision.down = !tile.ramp && this.getCell(column, row, level + 1) !== SOLID;
+    checkCollision.up = sides && this.getCell(column, row, level - 1) !== SOLID;
+  }
+
+  /**
+   * Check whether a face of a cell covers it fully, being a face of a solid cell or the high side of a ramp.
+   *
+   * @method TileLayer#_isFaceSolid
+   * @param {number} column - The column of the cell, along the x axis.
+   * @param {number} row - The row of the cell, along the y axis.
+   * @param {number} level - The level of the cell, along the z axis.
+   * @param {string} face - The face, backX, frontX, backY or frontY.
+   * @return {boolean} True if the face is solid, otherwise false.
+   * @private
+   */
+  _isFaceSolid(column, row, level, face) {
+    const state = this.getCell(column, row, level);
+
+    return state === SOLID || HIGH_SIDES[state] === face;
+  }
+
+  /**
+   * Get the index of a cell in the cache of Tiles.
+   *
+   * @method TileLayer#_getIndex
+   * @param {number} column - The column of the cell, along the x axis.
+   * @param {number} row - The row of the cell, along the y axis.
+   * @param {number} level - The level of the cell, along the z axis.
+   * @return {number} The index.
+   * @private
+   */
+  _getIndex(column, row, level) {
+    return (level * this.rows + row) * this.columns + column;
+  }
+}
+
+/**
+ * @class Tile
+ *
+ * @classdesc
+ * A static stand-in for a Body, covering one cell of a TileLayer so the World can separate bodies from it like from an immovable body.
+ * Tiles are passed to the callbacks of `World.collide` and `World.overlap` in place of the second game object.
+ * @private
+ */
+class Tile {
+  /**
+   * @constructor
+   * @param {TileLayer} layer - The TileLayer the cell belongs to.
+   * @param {number} column - The column of the cell, along the x axis.
+   * @param {number} row - The row of the cell, along the y axis.
+   * @param {number} level - The level of the cell, along the z axis.
+   */
+  constructor(layer, column, row, level) {
+    const { origin, cellSize, cellHeight } = layer;
+
+    /**
+     * @property {TileLayer} layer - The TileLayer the cell belongs to.
+     */
+    this.layer = layer;
+
+    /**
+     * @property {number} column - The column of the cell, along the x axis.
+     */
+    this.column = column;
+
+    /**
+     * @property {number} row - The row of the cell, along the y axis.
+     */
+    this.row = row;
+
+    /**
+     * @property {number} level - The level of the cell, along the z axis.
+     */
+    this.level = level;
+
+    /**
+     * @property {number} state - The state of the cell, SOLID, ONE_WAY or one of the ramps.
+     */
+    this.state = layer.getCell(column, row, level);
+
+    /**
+     * @property {boolean} ramp - Whether the cell is a ramp.
+     */
+    this.ramp = typeof HIGH_SIDES[this.state] !== 'undefined';
+
+    /**
+     * @property {Tile} sprite - The Tile itself, which the World passes to the callbacks in place of an IsoSprite.
+     */
+    this.sprite = this;
+
+    this.enable = true;
+    this.immovable = true;
+    this.moves = false;
+    this.mass = 1;
+    this.embedded = false;
+    this.customSeparateX = false;
+    this.customSeparateY = false;
+    this.customSeparateZ = false;
+    this.overlapX = 0;
+    this.overlapY = 0;
+    this.overlapZ = 0;
+
+    this.position = new Point3(origin.x + column * cellSize, origin.y + row * cellSize, origin.z + level * cellHeight);
+    this.prev = this.position;
+    this.velocity = new Point3();
+    this.bounce = new Point3();
+
+    this.widthX = cellSize;
+    this.widthY = cellSize;
+    this.height = cellHeight;
+
+    this.checkCollision = {
+      none: false,
+      any: true,
+      up: true,
+      down: true,
+      frontX: true,
+      frontY: true,
+      backX: true,
+      backY: true
+    };
+
+    this.touching = {
+      none: true,
+      up: false,
+      down: false,
+      frontX: false,
+      frontY: false,
+      backX: false,
+      backY: false
+    };
+
+    //  The surface of a ramp rises by the height of the cell over its width
+    const rise = this.ramp ? cellHeight / cellSize : 0;
+
+    /**
+     * @property {number} slopeAngle - The angle of the surface of the cell in degrees, 0 for flat cells.
+     */
+    this.slopeAngle = Math.atan(rise) * 180 / Math.PI;
+
+    /**
+     * @property {Point3} normal - The unit vector pointing out of the surface of the cell.
+     */
+    this.normal = new Point3(
+      this.state === RAMP_FRONT_X ? -rise : (this.state === RAMP_BACK_X ? rise : 0),
+      this.state === RAMP_FRONT_Y ? -rise : (this.state === RAMP_BACK_Y ? rise : 0),
+      1
+    );
+
+    const length = Math.sqrt(1 + rise * rise);
+
+    this.normal.setTo(this.normal.x / length, this.normal.y / length, 1 / length);
+  }
+
+  /**
+   * Get the height of the surface of the cell under a box. On a ramp it is the height at the edge of the box closest to the high side.
+   *
+   * @method Tile#getSurfaceAt
+   * @param {number} x - The x coordinate of the back corner of the box.
+   * @param {number} y - The y coordinate of the back corner of the box.
+   * @param {number} widthX - The width of the box along the x axis.
+   * @param {number} widthY - The width of the box along the y axis.
+   * @return {number} The z coordinate of the surface.
+   */
+  getSurfaceAt(x, y, widthX, widthY) {
+    let along;
+
+    switch (this.state) {
+    case RAMP_FRONT_X:
+      along = (x + widthX - this.x) / this.widthX;
+      break;
+    case RAMP_BACK_X:
+      along = (this.frontX - x) / this.widthX;
+      break;
+    case RAMP_FRONT_Y:
+      along = (y + widthY - this.y) / this.widthY;
+      break;
+    case RAMP_BACK_Y:
+      along = (this.frontY - y) / this.widthY;
+      break;
+    default:
+      return this.top;
+    }
+
+    return this.z + Math.min(Math.max(along, 0), 1) * this.height;
+  }
+
+  deltaX() {
+    return 0;
+  }
+
+  deltaY() {
+    return 0;
+  }
+
+  deltaZ() {
+    return 0;
+  }
+
+  deltaAbsX() {
+    return 0;
+  }
+
+  deltaAbsY() {
+    return 0;
+  }
+
+  deltaAbsZ() {
+    return 0;
+  }
+
+  get x() {
+    return this.position.x;
+  }
+
+  get y() {
+    return this.position.y;
+  }
+
+  get z() {
+    return this.position.z;
+  }
+
+  get frontX() {
+    return this.position.x + this.widthX;
+  }
+
+  get frontY() {
+    return this.position.y + this.widthY;
+  }
+
+  get top() {
+    return this.position.z + this.height;
+  }
+}
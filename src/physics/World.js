@@ -2,8 +2,8 @@ import Body from './Body';
 import Point3 from '../Point3';
 import Cube from '../Cube';
 import Octree from '../Octree';
+import TileLayer from './TileLayer';
 
-import { ISOSPRITE } from '../IsoSprite';
 
 const {  GameObjects, Structs } = Phaser;
 
@@ -54,6 +54,11 @@ export default class World {
      */
     this.forceXY = false;
 
+    /**
+     * @property {number} maxSlopeAngle - The steepest angle in degrees of a ramp of a TileLayer that bodies can stand on. Gravity makes bodies slide down steeper ramps.
+     */
+    this.maxSlopeAngle = 45;
+
     /**
      * @property {boolean} skipTree - If true an Octree will never be used for any collision. Handy for tightly packed games. See also Body.skipTree.
      */
@@ -83,6 +88,18 @@ export default class World {
       this.maxLevels
     );
 
+    /**
+     * @property {Octree} _bodyTree - The Octree of all enabled bodies used by queryBodies.
+     * @private
+     */
+    this._bodyTree = new Octree(0, 0, 0, 0, 0, 0, this.maxObjects, this.maxLevels);
+
+    /**
+     * @property {boolean} _bodyTreeDirty - Whether bodies moved or were added since the _bodyTree was built.
+     * @private
+     */
+    this._bodyTreeDirty = true;
+
     //  Avoid gc spikes by caching these values for re-use
 
     /**
@@ -219,11 +236,24 @@ export default class World {
     if (object.body === null) {
       object.body = new Body(object);
       this.bodies.set(object.body);
+      this._bodyTreeDirty = true;
     }
 
     return object;
   }
 
+  /**
+   * Creates a TileLayer, a 3D grid of solid, one-way and empty cells to collide bodies against without a body for every cell.
+   *
+   * @method IsoPhysics#createTileLayer
+   * @param {Array.<Array.<Array.<number>>>} data - The state of every cell, as an array of levels from the bottom up, each holding rows along the y axis, each holding the cells along the x axis.
+   * @param {object} [config] - The position and cell size of the TileLayer, see TileLayer.
+   * @return {TileLayer} The new TileLayer.
+   */
+  createTileLayer(data, config) {
+    return new TileLayer(data, config);
+  }
+
   /**
    * Updates the size of this physics world.
    *
@@ -334,6 +364,124 @@ export default class World {
     return this._result;
   }
 
+  /**
+   * The separation function for a body and the Tile of a solid or one-way cell of a TileLayer, which separates them like two bodies
+   * and then sets the faces the body is blocked on, like the World bounds do.
+   *
+   * @private
+   * @method IsoPhysics#separateTile
+   * @param {Body} body - The Body object to separate.
+   * @param {Tile} tile - The Tile of the cell.
+   * @param {function} [processCallback=null] - A callback function that lets you perform additional checks against the body and the Tile if they overlap. If this function is set then they will only be collided if it returns true.
+   * @param {object} [callbackContext] - The context in which to run the process callback.
+   * @param {boolean} overlapOnly - Just run an overlap or a full collision.
+   * @return {boolean} Returns true if the body and the Tile collided, otherwise false.
+   */
+  separateTile(body, tile, processCallback, callbackContext, overlapOnly) {
+    this._dx = body.x;
+    this._dy = body.y;
+    this._dz = body.z;
+
+    if (!this.separate(body, tile, processCallback, callbackContext, overlapOnly)) {
+      return false;
+    }
+
+    //  The body is blocked on the side it was pushed away from
+    if (body.x < this._dx) {
+      body.blocked.frontX = true;
+    } else if (body.x > this._dx) {
+      body.blocked.backX = true;
+    }
+
+    if (body.y < this._dy) {
+      body.blocked.frontY = true;
+    } else if (body.y > this._dy) {
+      body.blocked.backY = true;
+    }
+
+    if (body.z < this._dz) {
+      body.blocked.up = true;
+    } else if (body.z > this._dz) {
+      body.blocked.down = true;
+    }
+
+    return true;
+  }
+
+  /**
+   * The separation function for a body and the Tile of a ramp of a TileLayer. A body coming onto the ramp from its low side or from above
+   * is moved up onto its surface, and a body that was standing on something is kept on the surface while walking down, instead of bouncing down the ramp.
+   * Bodies on a ramp no steeper than maxSlopeAngle stop falling and are blocked down, on steeper ramps they slide down along the surface without being blocked down or touching up. A body running into the sides of the ramp is separated from it like from a solid cell.
+   *
+   * @private
+   * @method IsoPhysics#separateRamp
+   * @param {Body} body - The Body object to separate.
+   * @param {Tile} tile - The Tile of the ramp.
+   * @param {function} [processCallback=null] - A callback function that lets you perform additional checks against the body and the Tile if they overlap. If this function is set then they will only be collided if it returns true.
+   * @param {object} [callbackContext] - The context in which to run the process callback.
+   * @param {boolean} overlapOnly - Just run an overlap or a full collision.
+   * @return {boolean} Returns true if the body was on the ramp, otherwise false.
+   */
+  separateRamp(body, tile, processCallback, callbackContext, overlapOnly) {
+    if (!body.enable || !this.intersects(body, tile)) {
+      return false;
+    }
+
+    //  Below the surface before moving, so the body ran into the side or the high end of the ramp
+    if (body.prev.z < tile.getSurfaceAt(body.prev.x, body.prev.y, body.widthX, body.widthY) - this.OVERLAP_BIAS) {
+      return this.separateTile(body, tile, processCallback, callbackContext, overlapOnly);
+    }
+
+    const surface = tile.getSurfaceAt(body.x, body.y, body.widthX, body.widthY);
+    const gap = body.z - surface;
+
+    if (gap >= 0) {
+      //  Above the surface, only a body walking down the ramp is snapped onto it
+      this._maxOverlap = Math.max(body.deltaAbsX(), body.deltaAbsY()) * tile.height / tile.widthX + this.OVERLAP_BIAS;
+
+      if (overlapOnly || gap > this._maxOverlap || body.velocity.z > 0 || !body.wasTouching.up) {
+        return false;
+      }
+    }
+
+    if (processCallback && processCallback.call(callbackContext, body.sprite, tile.sprite) === false) {
+      return false;
+    }
+
+    if (overlapOnly) {
+      return true;
+    }
+
+    body.z = surface;
+    body.touching.none = false;
+    tile.touching.none = false;
+    tile.touching.down = true;
+
+    const { velocity } = body;
+
+    if (tile.slopeAngle > this.maxSlopeAngle) {
+      //  Too steep to stand on, so only the velocity into the surface is taken away and gravity pulls the body down along it.
+      //  The body isn't blocked down or touching up either, so it can't jump off the ramp and isn't kept on it while it slides down
+      const { normal } = tile;
+      const speed = velocity.x * normal.x + velocity.y * normal.y + velocity.z * normal.z;
+
+      if (speed < 0) {
+        velocity.x -= speed * normal.x;
+        velocity.y -= speed * normal.y;
+        velocity.z -= speed * normal.z;
+      }
+    } else {
+      body.blocked.down = true;
+      body.touching.up = true;
+
+      if (velocity.z < 0) {
+        velocity.z = 0;
+      }
+    }
+
+    return true;
+  }
+
   /**
    * Check for intersection against two bodies.
    *
@@ -739,18 +887,30 @@ export default class World {
     }
 
     if (object1 && object2) {
-      //  ISOSPRITES
-      if (object1.type === ISOSPRITE) {
-        if (object2.type === ISOSPRITE) {
+      //  TILE LAYERS
+      if (object1 instanceof TileLayer) {
+        if (object2.isIsoObject) {
+          this.collideSpriteVsTileLayer(object2, object1, collideCallback, processCallback, callbackContext, overlapOnly);
+        } else if (object2.type === Phaser.GROUP) {
+          this.collideGroupVsTileLayer(object2, object1, collideCallback, processCallback, callbackContext, overlapOnly);
+        }
+      }
+      //  ISO OBJECTS
+      else if (object1.isIsoObject) {
+        if (object2.isIsoObject) {
           this.collideSpriteVsSprite(object1, object2, collideCallback, processCallback, callbackContext, overlapOnly);
+        } else if (object2 instanceof TileLayer) {
+          this.collideSpriteVsTileLayer(object1, object2, collideCallback, processCallback, callbackContext, overlapOnly);
         } else if (object2.type === Phaser.GROUP) {
           this.collideSpriteVsGroup(object1, object2, collideCallback, processCallback, callbackContext, overlapOnly);
         }
       }
       //  GROUPS
       else if (object1.type === Phaser.GROUP) {
-        if (object2.type === ISOSPRITE) {
+        if (object2.isIsoObject) {
           this.collideSpriteVsGroup(object2, object1, collideCallback, processCallback, callbackContext, overlapOnly);
+        } else if (object2 instanceof TileLayer) {
+          this.collideGroupVsTileLayer(object1, object2, collideCallback, processCallback, callbackContext, overlapOnly);
         } else if (object2.type === Phaser.GROUP) {
           this.collideGroupVsGroup(object1, object2, collideCallback, processCallback, callbackContext, overlapOnly);
         }
@@ -889,6 +1049,60 @@ export default class World {
     }
   }
 
+  /**
+   * An internal function. Use IsoPhysics.collide instead.
+   *
+   * @method IsoPhysics#collideSpriteVsTileLayer
+   * @private
+   * @param {IsoSprite} sprite - The sprite to check.
+   * @param {TileLayer} layer - The TileLayer to check.
+   * @param {function} collideCallback - An optional callback function that is called if the objects collide. The sprite and the Tile of the cell are passed to this function.
+   * @param {function} processCallback - A callback function that lets you perform additional checks against the sprite and a Tile if they overlap. If this is set then collision will only happen if processCallback returns true.
+   * @param {object} callbackContext - The context in which to run the callbacks.
+   * @param {boolean} overlapOnly - Just run an overlap or a full collision.
+   */
+  collideSpriteVsTileLayer(sprite, layer, collideCallback, processCallback, callbackContext, overlapOnly) {
+    const body = sprite.body;
+
+    if (!body) { return; }
+
+    const tiles = layer.getTilesWithin(body);
+
+    for (var i = 0, len = tiles.length; i < len; i++) {
+      const separated = tiles[i].ramp ?
+        this.separateRamp(body, tiles[i], processCallback, callbackContext, overlapOnly) :
+        this.separateTile(body, tiles[i], processCallback, callbackContext, overlapOnly);
+
+      if (separated) {
+        if (collideCallback) {
+          collideCallback.call(callbackContext, sprite, tiles[i]);
+        }
+
+        this._total++;
+      }
+    }
+  }
+
+  /**
+   * An internal function. Use IsoPhysics.collide instead.
+   *
+   * @method IsoPhysics#collideGroupVsTileLayer
+   * @private
+   * @param {Phaser.Group} group - The Group to check.
+   * @param {TileLayer} layer - The TileLayer to check.
+   * @param {function} collideCallback - An optional callback function that is called if the objects collide. The sprite and the Tile of the cell are passed to this function.
+   * @param {function} processCallback - A callback function that lets you perform additional checks against a sprite and a Tile if they overlap. If this is set then collision will only happen if processCallback returns true.
+   * @param {object} callbackContext - The context in which to run the callbacks.
+   * @param {boolean} overlapOnly - Just run an overlap or a full collision.
+   */
+  collideGroupVsTileLayer(group, layer, collideCallback, processCallback, callbackContext, overlapOnly) {
+    if (group.children.size === 0) { return; }
+
+    for (var i = 0, len = group.children.size; i < len; i++) {
+      this.collideSpriteVsTileLayer(group.children.entries[i], layer, collideCallback, processCallback, callbackContext, overlapOnly);
+    }
+  }
+
   /**
    * Called automatically by a Physics body, it updates all motion related values on the Body.
    *
@@ -905,11 +1119,42 @@ export default class World {
     body.velocity.z = this.computeVelocity(3, body, body.velocity.z, body.acceleration.z, body.drag.z, body.maxVelocity.z, delta);
   }
 
+  /**
+   * Get the bodies that may intersect a region, for example to find what lies below a point without checking every body.
+   * The Octree of all enabled bodies is built again at most once per update and post update of the world.
+   *
+   * @method IsoPhysics#queryBodies
+   * @param {Cube} cube - The region to look in.
+   * @return {Array.<Body>} The bodies in the parts of the Octree the region falls into. They still have to be checked against the region itself.
+   */
+  queryBodies(cube) {
+    const tree = this._bodyTree;
+
+    if (this._bodyTreeDirty) {
+      const bodies = this.bodies.entries;
+
+      tree.clear();
+      tree.reset(this.bounds.x, this.bounds.y, this.bounds.z, this.bounds.widthX, this.bounds.widthY, this.bounds.height, this.maxObjects, this.maxLevels);
+
+      for (let i = 0; i < bodies.length; i++) {
+        if (bodies[i].enable) {
+          tree.insert(bodies[i]);
+        }
+      }
+
+      this._bodyTreeDirty = false;
+    }
+
+    return tree.retrieve(cube);
+  }
+
   update(time, delta) {
     const bodies = this.bodies.entries;
     const len = bodies.length;
     let i;
 
+    this._bodyTreeDirty = true;
+
     for (i = 0; i < len; i++) {
       const body = bodies[i];
       if (body.enable) {
@@ -923,6 +1168,8 @@ export default class World {
     const len = bodies.length;
     let i;
 
+    this._bodyTreeDirty = true;
+
     for (i = 0; i < len; i++) {
       const body = bodies[i];
       if (body.enable) {